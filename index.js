@@ -12,10 +12,19 @@ const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const moment = require('moment-timezone');
 const { v4: uuidv4 } = require('uuid');
-const { GoogleGenerativeAI } = require('@google/generative-ai')
+const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
 const winston = require('winston');
 const compression = require('compression');
 const { google } = require('googleapis');
+const cron = require('node-cron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
 
 require('dotenv').config();
 
@@ -50,7 +59,12 @@ try {
       });
     }
 
-    calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+    // GOOGLE_API_ROOT_URL permite apontar para um stub local da Calendar API
+    calendar = google.calendar({
+      version: 'v3',
+      auth: oauth2Client,
+      ...(process.env.GOOGLE_API_ROOT_URL && { rootUrl: process.env.GOOGLE_API_ROOT_URL })
+    });
     console.log('✅ Google Calendar initialized successfully');
   } else {
     console.log('⚠️ Google Calendar credentials not configured');
@@ -72,7 +86,13 @@ const logger = winston.createLogger({
 app.use(helmet());
 app.use(compression());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Guarda o corpo bruto para conferir a assinatura do webhook
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -81,6 +101,160 @@ const limiter = rateLimit({
 });
 app.use('/webhook', limiter);
 
+// API key em todas as rotas, exceto as públicas (ver PUBLIC_ROUTES)
+app.use(authenticateAdmin);
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+// Papéis em ordem crescente de permissão
+const ADMIN_ROLES = ['viewer', 'operator', 'admin'];
+
+// Rotas sem API key: health check, webhook do WhatsApp (assinado pela Meta)
+// e retorno do OAuth (protegido pelo state assinado)
+const PUBLIC_ROUTES = [
+  { methods: ['GET', 'HEAD'], path: '/health' },
+  { methods: ['GET', 'POST'], path: '/webhook' },
+  { methods: ['GET'], path: '/auth/google/callback' },
+  // Só a página (sem dados): os números vêm de /dashboard/metrics com a chave
+  { methods: ['GET'], path: '/dashboard' },
+  { methods: ['GET'], path: '/dashboard/app.js' },
+  { methods: ['GET'], path: '/monitor' }
+];
+
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * ADMIN_API_KEYS="nome:chave:papel,..." (papel padrão: admin).
+ * O nome identifica quem fez cada alteração nos logs.
+ */
+function getAdminApiKeys() {
+  return (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, key, role] = entry.split(':').map(part => part.trim());
+      return { name, key, role: ADMIN_ROLES.includes(role) ? role : 'admin' };
+    })
+    .filter(entry => entry.name && entry.key);
+}
+
+function findAdminByKey(apiKey) {
+  const digest = sha256(apiKey);
+  const match = getAdminApiKeys().find(entry => crypto.timingSafeEqual(sha256(entry.key), digest));
+  return match ? { name: match.name, role: match.role } : null;
+}
+
+function getRequestApiKey(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+  return req.get('x-api-key') || null;
+}
+
+function isPublicRoute(req) {
+  return PUBLIC_ROUTES.some(route => route.path === req.path && route.methods.includes(req.method));
+}
+
+function authenticateAdmin(req, res, next) {
+  if (isPublicRoute(req)) return next();
+
+  const apiKey = getRequestApiKey(req);
+  const admin = apiKey ? findAdminByKey(apiKey) : null;
+  if (!admin) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  req.admin = admin;
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (ADMIN_ROLES.indexOf(req.admin?.role) < ADMIN_ROLES.indexOf(role)) {
+      logger.warn(`Forbidden: ${req.admin?.name} (${req.admin?.role}) tried ${req.method} ${req.path}`);
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  };
+}
+
+/**
+ * Confere o X-Hub-Signature-256 (HMAC-SHA256 do corpo bruto com o app secret).
+ * Sem WHATSAPP_APP_SECRET só aceita fora de produção.
+ */
+function verifyWebhookSignature(req, res, next) {
+  const appSecret = process.env.WHATSAPP_APP_SECRET;
+  if (!appSecret) {
+    if (process.env.NODE_ENV === 'production') {
+      logger.error('WHATSAPP_APP_SECRET not configured, rejecting webhook');
+      return res.status(503).json({ error: 'Webhook signature not configured' });
+    }
+    return next();
+  }
+
+  const signature = req.get('x-hub-signature-256') || '';
+  const expected = 'sha256=' + crypto.createHmac('sha256', appSecret).update(req.rawBody || '').digest('hex');
+  if (!safeEqual(signature, expected)) {
+    logger.warn(`Invalid webhook signature from ${req.ip}`);
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  next();
+}
+
+// Chave AES-256 derivada de TOKEN_ENCRYPTION_KEY (qualquer texto longo e aleatório)
+function getEncryptionKey() {
+  if (!process.env.TOKEN_ENCRYPTION_KEY) {
+    throw new Error('TOKEN_ENCRYPTION_KEY não configurada');
+  }
+  return sha256(process.env.TOKEN_ENCRYPTION_KEY);
+}
+
+// AES-256-GCM; formato "iv.tag.dados" em base64
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(encrypted) {
+  const [iv, tag, data] = encrypted.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+// state do OAuth: quem iniciou + horário, assinado para o callback público
+function signOAuthState(adminName) {
+  const payload = Buffer.from(JSON.stringify({ admin: adminName, issuedAt: Date.now() })).toString('base64url');
+  const signature = crypto.createHmac('sha256', getEncryptionKey()).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+function verifyOAuthState(state) {
+  const [payload, signature] = String(state || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', getEncryptionKey()).update(payload).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  return Date.now() - data.issuedAt <= OAUTH_STATE_TTL_MS ? data : null;
+}
+
 // ============================================================================
 // MONGODB SCHEMAS
 // ============================================================================
@@ -88,50 +262,361 @@ app.use('/webhook', limiter);
 const ConversationSchema = new mongoose.Schema({
   phoneNumber: { type: String, required: true, index: true },
   contactName: { type: String, default: '' },
-  stage: { 
-    type: String, 
-    enum: ['INITIAL', 'SOLICITAR_NOME', 'SOLICITAR_FUNCAO', 'SOLICITAR_EMAIL', 'SOLICITAR_FATURAMENTO', 'OFERECER_AGENDAMENTOS', 'AGENDAMENTO_CONFIRMADO', 'COMPLETED', 'ABANDONED'],
-    default: 'INITIAL'
+  // Estágios vêm do fluxo da conversa (ver CONVERSATION FLOWS)
+  stage: { type: String, default: 'INITIAL' },
+  flow: {
+    key: String,
+    version: Number
   },
  userData: {
   name: String,
   function: String,
   email: String,
   revenue: String,
-  leadScore: { type: Number, default: 0 }
+  // Campos personalizados coletados por fluxos configuráveis
+  extra: { type: Map, of: String },
+  leadScore: { type: Number, default: 0 },
+  scoreBreakdown: [{
+    rule: String,
+    value: String,
+    points: Number,
+    reason: String
+  }],
+  scoreVersion: Number,
+  scoredAt: Date
 },
   appointment: {
     scheduled: { type: Boolean, default: false },
     eventId: String,
     meetLink: String,
     scheduledDate: Date,
+    // Quando a reunião foi marcada (remarcações não alteram)
+    bookedAt: Date,
     status: { 
       type: String, 
-      enum: ['PENDING', 'CONFIRMED', 'CANCELLED', 'COMPLETED'],
+      // PENDING_REVIEW: reunião passou sem evidência de presença ou falta
+      enum: ['PENDING', 'CONFIRMED', 'CANCELLED', 'COMPLETED', 'NO_SHOW', 'PENDING_REVIEW'],
       default: 'PENDING'
-    }
+    },
+    rescheduling: { type: Boolean, default: false },
+    reminders: {
+      sent24h: Date,
+      sent1h: Date,
+      confirmationRequestedAt: Date,
+      attendanceConfirmedAt: Date,
+      reengagementSentAt: Date
+    },
+    history: [{
+      action: { type: String, enum: ['RESCHEDULED', 'CANCELLED'] },
+      previousDate: Date,
+      newDate: Date,
+      eventId: String,
+      changedAt: { type: Date, default: Date.now }
+    }]
+  },
+  offeredSlots: {
+    slots: [{
+      datetime: Date,
+      display: String,
+      shortDisplay: String
+    }],
+    offeredAt: Date,
+    expiresAt: Date,
+    // Enquanto não vence, os horários não são oferecidos a outros leads
+    heldUntil: Date
   },
   messages: [{
     timestamp: { type: Date, default: Date.now },
     direction: { type: String, enum: ['INCOMING', 'OUTGOING'] },
     content: String,
-    messageId: String
+    messageId: String,
+    template: String,
+    // Entrega das mensagens enviadas (statuses do webhook)
+    status: { type: String, enum: ['PENDING', 'SENT', 'DELIVERED', 'READ', 'FAILED'] },
+    statusUpdatedAt: Date,
+    error: {
+      code: Number,
+      title: String,
+      message: String
+    },
+    retriedAt: Date,
+    // Quem enviou mensagens fora do bot (agente, automação)
+    sentBy: String,
+    // Conteúdo apagado pela política de retenção (ANALYTICS_RETENTION_DAYS)
+    anonymized: Boolean
   }],
   n8nData: {
     sent: { type: Boolean, default: false },
     lastSent: Date
   },
+  // Atendimento humano: enquanto ativo o bot fica pausado
+  handoff: {
+    active: { type: Boolean, default: false },
+    reason: { type: String, enum: ['LEAD_REQUEST', 'LOW_CONFIDENCE', 'VALIDATION_FAILURES', 'AI_UNAVAILABLE', 'ANGRY_SENTIMENT', 'MANUAL'] },
+    requestedAt: Date,
+    assignedAgent: String,
+    assignedAt: Date,
+    resolvedAt: Date,
+    resolvedBy: String
+  },
+  // Etiquetas livres do time comercial
+  tags: [String],
+  // Estágios por onde a conversa passou (funil do dashboard)
+  stageHistory: [{
+    stage: String,
+    at: { type: Date, default: Date.now }
+  }],
+  // Origem do lead: anúncio click-to-WhatsApp (referral) ou campanha
+  attribution: {
+    campaign: String,
+    source: String,
+    // Origem informada na lista da campanha (ex.: feira, linkedin)
+    contactSource: String,
+    sourceUrl: String,
+    headline: String,
+    clickId: String
+  },
+  // LGPD: base para mensagens ao lead; REVOKED (opt-out) bloqueia qualquer envio
+  consent: {
+    status: { type: String, enum: ['GRANTED', 'REVOKED'] },
+    // INBOUND_MESSAGE, CAMPAIGN, KEYWORD (PARAR / VOLTAR), INHERITED (opt-out da conversa anterior)
+    source: String,
+    grantedAt: Date,
+    revokedAt: Date,
+    noticeSentAt: Date,
+    history: [{
+      status: String,
+      source: String,
+      at: { type: Date, default: Date.now }
+    }]
+  },
+  // Alterações feitas pela API (quem, o quê, quando)
+  auditLog: [{
+    at: { type: Date, default: Date.now },
+    action: String,
+    performedBy: String,
+    onBehalfOf: String,
+    details: mongoose.Schema.Types.Mixed
+  }],
   metadata: {
     lastActivity: { type: Date, default: Date.now },
     conversationStarted: { type: Date, default: Date.now },
-    isActive: { type: Boolean, default: true }
+    isActive: { type: Boolean, default: true },
+    followUps: {
+      count: { type: Number, default: 0 },
+      lastSentAt: Date
+    },
+    closedAt: Date,
+    // Dados pessoais (userData, nome do contato) apagados pela política de retenção
+    anonymizedAt: Date,
+    // Primeira chegada ao estágio de agendamento (evento lead.qualified)
+    qualifiedAt: Date,
+    botPaused: { type: Boolean, default: false },
+    // Respostas inválidas seguidas no mesmo estágio (gatilho de handoff)
+    validationFailures: { type: Number, default: 0 },
+    // Turnos processados pela IA e quantos caíram no fallback (erro / saída inválida)
+    aiTurns: { type: Number, default: 0 },
+    aiFailures: { type: Number, default: 0 },
+    // Fallbacks seguidos (gatilho de handoff)
+    consecutiveAIFailures: { type: Number, default: 0 },
+    pausedAt: Date,
+    pausedBy: String,
+    pauseReason: String,
+    closedReason: { type: String, enum: ['ABANDONED', 'INACTIVE', 'MANUAL', 'IMPORTED', 'OPTED_OUT', 'SEND_FAILED'] },
+    previousConversationId: mongoose.Schema.Types.ObjectId
   }
 }, {
   timestamps: true
 });
 
+ConversationSchema.index({ 'messages.messageId': 1 });
+ConversationSchema.index({ 'metadata.conversationStarted': 1 });
+// Navegação / busca de conversas
+ConversationSchema.index({ phoneNumber: 1, createdAt: -1 });
+ConversationSchema.index({ 'metadata.lastActivity': -1 });
+ConversationSchema.index({ stage: 1, 'metadata.lastActivity': -1 });
+ConversationSchema.index({ 'userData.email': 1 });
+ConversationSchema.index({ 'userData.leadScore': -1 });
+ConversationSchema.index({ tags: 1, 'metadata.lastActivity': -1 });
+ConversationSchema.index(
+  { contactName: 'text', 'userData.name': 'text' },
+  { default_language: 'portuguese', name: 'conversation_name_text' }
+);
+ConversationSchema.index({ 'attribution.campaign': 1, 'metadata.conversationStarted': 1 });
+ConversationSchema.index({ 'offeredSlots.heldUntil': 1 });
+
+ConversationSchema.pre('save', function () {
+  if (this.isNew || this.isModified('stage')) {
+    this.stageHistory.push({ stage: this.stage, at: new Date() });
+  }
+});
+
 const Conversation = mongoose.model('Conversation', ConversationSchema);
 
+const FlowSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  version: { type: Number, required: true },
+  name: String,
+  active: { type: Boolean, default: true },
+  definition: { type: mongoose.Schema.Types.Mixed, required: true }
+}, {
+  timestamps: true
+});
+
+FlowSchema.index({ key: 1, version: 1 }, { unique: true });
+
+const Flow = mongoose.model('Flow', FlowSchema);
+
+const ScoringRulesSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  active: { type: Boolean, default: true },
+  definition: { type: mongoose.Schema.Types.Mixed, required: true }
+}, {
+  timestamps: true
+});
+
+const ScoringRules = mongoose.model('ScoringRules', ScoringRulesSchema);
+
+// Mensagens recebidas pelo webhook: dedupe por id e fila por telefone
+const InboundMessageSchema = new mongoose.Schema({
+  messageId: { type: String, required: true, unique: true },
+  phoneNumber: { type: String, required: true },
+  contactName: String,
+  type: String,
+  payload: mongoose.Schema.Types.Mixed,
+  sentAt: Date,
+  status: { type: String, enum: ['QUEUED', 'PROCESSING', 'DONE', 'FAILED'], default: 'QUEUED' },
+  processedAt: Date,
+  error: String,
+  // Reentregas da Meta acontecem em até alguns dias
+  expiresAt: { type: Date, default: () => moment().add(7, 'days').toDate(), expires: 0 }
+}, {
+  timestamps: true
+});
+
+InboundMessageSchema.index({ phoneNumber: 1, status: 1, sentAt: 1 });
+
+const InboundMessage = mongoose.model('InboundMessage', InboundMessageSchema);
+
+const ConversationLockSchema = new mongoose.Schema({
+  _id: String,
+  owner: String,
+  expiresAt: Date
+});
+
+const ConversationLock = mongoose.model('ConversationLock', ConversationLockSchema);
+
+// Reserva curta do horário entre a checagem e a criação do evento (início único)
+const SlotReservationSchema = new mongoose.Schema({
+  start: { type: Date, required: true, unique: true },
+  phoneNumber: String,
+  expiresAt: { type: Date, expires: 0 }
+});
+
+const SlotReservation = mongoose.model('SlotReservation', SlotReservationSchema);
+
+// Envios pendentes (WhatsApp e n8n) com retentativa e dead-letter
+const OutboxMessageSchema = new mongoose.Schema({
+  channel: { type: String, enum: ['WHATSAPP', 'N8N'], required: true },
+  status: { type: String, enum: ['PENDING', 'PROCESSING', 'SENT', 'DEAD'], default: 'PENDING' },
+  conversationId: mongoose.Schema.Types.ObjectId,
+  phoneNumber: String,
+  // Id provisório da entrada em conversation.messages (trocado pelo wamid no envio)
+  entryId: String,
+  event: String,
+  payload: mongoose.Schema.Types.Mixed,
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  lastError: mongoose.Schema.Types.Mixed,
+  sentAt: Date,
+  deadAt: Date,
+  replays: [{
+    replayedBy: String,
+    replayedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+OutboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const OutboxMessage = mongoose.model('OutboxMessage', OutboxMessageSchema);
+
+// Credenciais OAuth criptografadas (AES-256-GCM com TOKEN_ENCRYPTION_KEY)
+const OAuthTokenSchema = new mongoose.Schema({
+  provider: { type: String, required: true, unique: true },
+  encryptedTokens: { type: String, required: true },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+const OAuthToken = mongoose.model('OAuthToken', OAuthTokenSchema);
+
+// Campanhas de prospecção ativa: template inicial + estágio do fluxo onde o contato começa
+const CampaignSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['DRAFT', 'RUNNING', 'PAUSED', 'COMPLETED', 'CANCELLED'],
+    default: 'DRAFT'
+  },
+  flowKey: { type: String, required: true },
+  startStage: { type: String, required: true },
+  template: {
+    name: { type: String, required: true },
+    language: String,
+    // Aceitam {{name}}, {{firstName}} e {{source}} do contato
+    headerParams: [String],
+    bodyParams: [String],
+    buttonPayloads: [String]
+  },
+  createdBy: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+const Campaign = mongoose.model('Campaign', CampaignSchema);
+
+const CampaignContactSchema = new mongoose.Schema({
+  campaignKey: { type: String, required: true },
+  phoneNumber: { type: String, required: true },
+  name: String,
+  source: String,
+  status: {
+    type: String,
+    enum: ['PENDING', 'SENDING', 'SENT', 'FAILED', 'SKIPPED', 'OPTED_OUT'],
+    default: 'PENDING'
+  },
+  conversationId: mongoose.Schema.Types.ObjectId,
+  lockedAt: Date,
+  sentAt: Date,
+  optedOutAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+CampaignContactSchema.index({ campaignKey: 1, phoneNumber: 1 }, { unique: true });
+CampaignContactSchema.index({ campaignKey: 1, status: 1, createdAt: 1 });
+CampaignContactSchema.index({ phoneNumber: 1, status: 1 });
+CampaignContactSchema.index({ sentAt: 1 });
+
+const CampaignContact = mongoose.model('CampaignContact', CampaignContactSchema);
+
+// Números apagados a pedido do titular (só o hash): a restauração de backup não os traz de volta
+const ErasureTombstoneSchema = new mongoose.Schema({
+  phoneHash: { type: String, required: true, unique: true },
+  erasedAt: { type: Date, required: true },
+  requestedBy: String
+});
+
+const ErasureTombstone = mongoose.model('ErasureTombstone', ErasureTombstoneSchema);
+
 // ============================================================================
 // MONGODB CONNECTION
 // ============================================================================
@@ -152,575 +637,6295 @@ const connectMongoDB = async () => {
 };
 
 // ============================================================================
-// GOOGLE CALENDAR FUNCTIONS
+// CONVERSATION FLOWS
 // ============================================================================
 
-async function getAvailableSlots(daysAhead = 7) {
-  try {
-    const timezone = process.env.TIMEZONE || 'America/Sao_Paulo';
-    const availableSlots = [];
-    
-    for (let day = 1; day <= daysAhead; day++) {
-      const currentDay = moment().tz(timezone).add(day, 'days');
-      
-      // Pula fins de semana
-      if (currentDay.day() === 0 || currentDay.day() === 6) continue;
-      
-      // Cria slots de 30min das 9h às 17h
-      for (let hour = 9; hour < 17; hour++) {
-        for (let minute = 0; minute < 60; minute += 30) {
-          const slotStart = currentDay.clone().hour(hour).minute(minute).second(0);
-          
-          if (slotStart.isAfter(moment())) {
-            availableSlots.push({
-              datetime: slotStart.toISOString(),
-              display: slotStart.format('dddd DD/MM [às] HH:mm[h]'),
-              shortDisplay: slotStart.format('ddd DD/MM HH:mm')
-            });
-          }
-        }
+// Estágios com comportamento fixo no código (agenda, confirmação, encerramento)
+const SCHEDULING_STAGE = 'OFERECER_AGENDAMENTOS';
+const SCHEDULED_STAGE = 'AGENDAMENTO_CONFIRMADO';
+const FINAL_STAGES = ['COMPLETED', 'ABANDONED'];
+
+const DEFAULT_FLOW = {
+  key: 'default',
+  version: 1,
+  name: 'SDR Carlinho Mega',
+  definition: {
+    persona: 'Você é José Carlos Machado Mega, mas pode me chamar de Carlinho Mega! Sou de Riolandia, moro em São José do Rio Preto.',
+    initialStage: 'INITIAL',
+    stages: {
+      'INITIAL': {
+        prompt: 'E aí, tudo tranquilo? Sou o Carlinho Mega! Para eu te ajudar da melhor forma, preciso que me diga seu nome completo. Como você se chama?',
+        question: 'Como você se chama?',
+        next: 'SOLICITAR_NOME'
+      },
+      'SOLICITAR_NOME': {
+        field: 'name',
+        prompt: 'Se informou nome: Beleza! Agora preciso saber qual sua função na empresa. Você é gerente, diretor, vendedor? Me conta aí! Se NÃO informou: Opa, parceiro! Preciso do seu nome completo para te ajudar direitinho. Como você se chama?',
+        question: 'Me conta seu nome completo?',
+        next: 'SOLICITAR_FUNCAO'
+      },
+      'SOLICITAR_FUNCAO': {
+        field: 'function',
+        prompt: 'E aí! Me conta qual sua função na empresa. Você é o que lá - gerente, diretor, vendedor? Fala aí! Se for vago: Legal! Mas conta mais detalhes - você é vendedor, supervisor, gerente? Quero entender sua posição.',
+        question: 'Qual sua função na empresa?',
+        next: 'SOLICITAR_EMAIL'
+      },
+      'SOLICITAR_EMAIL': {
+        field: 'email',
+        prompt: 'Show! Agora preciso do seu email profissional para te mandar umas informações importantes. Qual seu email da empresa?',
+        question: 'Qual seu email profissional?',
+        next: 'SOLICITAR_FATURAMENTO'
+      },
+      'SOLICITAR_FATURAMENTO': {
+        field: 'revenue',
+        prompt: 'Agora uma pergunta importante para eu te ajudar melhor: qual o faturamento médio mensal da empresa? A) Até R$ 50mil/mês B) R$ 50-200mil/mês C) R$ 200-500mil/mês D) Acima de R$ 500mil/mês',
+        question: 'Qual o faturamento médio mensal da empresa? A) Até R$ 50mil B) R$ 50-200mil C) R$ 200-500mil D) Acima de R$ 500mil',
+        next: 'OFERECER_AGENDAMENTOS'
+      },
+      'OFERECER_AGENDAMENTOS': {
+        prompt: 'Puxa vida! Com base no seu perfil, tenho uma proposta que vai te interessar. Que tal agendarmos uma conversa de 30 minutos? Quero te mostrar uma estratégia que pode melhorar seus resultados.',
+        question: 'Qual horário fica melhor para a nossa conversa?',
+        next: 'AGENDAMENTO_CONFIRMADO'
+      },
+      'AGENDAMENTO_CONFIRMADO': {
+        prompt: 'Show! Reunião confirmada! Você vai receber um convite no email com todos os detalhes e o link da videoconferência. Tenho certeza que será uma conversa produtiva! Até breve, parceiro!',
+        followUp: false,
+        next: 'COMPLETED'
       }
     }
-    
-    return availableSlots.slice(0, 6);
-    
-  } catch (error) {
-    logger.error('Error getting available slots:', error);
-    return [];
   }
-}
+};
 
-async function scheduleGoogleCalendarEvent(conversation, selectedSlot) {
-  try {
-    // TEMPORÁRIO: Simulação até configurar Google Calendar
-    const startTime = moment(selectedSlot).tz('America/Sao_Paulo');
-    
-    logger.info(`Agendamento simulado para ${conversation.userData.name} em ${startTime.format('DD/MM/YYYY HH:mm')}`);
-    
-    return {
-      success: true,
-      eventId: 'temp_' + uuidv4(),
-      meetLink: 'https://meet.google.com/temp-meeting-' + Math.random().toString(36).substring(7),
-      startTime: startTime.toISOString()
-    };
+const flowCache = new Map();
 
-  } catch (error) {
-    logger.error('Agendamento temporário error:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
+function getStageTransitions(stageDef) {
+  if (!stageDef || stageDef.next === undefined) return [];
+  return Array.isArray(stageDef.next) ? stageDef.next : [{ stage: stageDef.next }];
 }
 
+function isTerminalStage(stageName, stageDef) {
+  return FINAL_STAGES.includes(stageName) || Boolean(stageDef?.terminal);
+}
 
-// ============================================================================
-// AI PROCESSING
-// ============================================================================
-
-async function processMessageWithAI(message, conversation) {
-  try {
-    const currentStage = conversation.stage || 'INITIAL';
-    const userData = conversation.userData || {};
-    
-    const systemPrompts = {
-  'INITIAL': 'Você é José Carlos Machado Mega, mas pode me chamar de Carlinho Mega! Sou de Riolandia, moro em São José do Rio Preto. E aí, tudo tranquilo? Sou o Carlinho Mega! Para eu te ajudar da melhor forma, preciso que me diga seu nome completo. Como você se chama?',
-  
-  'SOLICITAR_NOME': 'Se informou nome: Beleza! Agora preciso saber qual sua função na empresa. Você é gerente, diretor, vendedor? Me conta aí! Se NÃO informou: Opa, parceiro! Preciso do seu nome completo para te ajudar direitinho. Como você se chama?',
-  
-  'SOLICITAR_FUNCAO': 'E aí! Me conta qual sua função na empresa. Você é o que lá - gerente, diretor, vendedor? Fala aí! Se for vago: Legal! Mas conta mais detalhes - você é vendedor, supervisor, gerente? Quero entender sua posição.',
-  
-  'SOLICITAR_EMAIL': 'Show! Agora preciso do seu email profissional para te mandar umas informações importantes. Qual seu email da empresa?',
-  
-  'SOLICITAR_FATURAMENTO': 'Agora uma pergunta importante para eu te ajudar melhor: qual o faturamento médio mensal da empresa? A) Até R$ 50mil/mês B) R$ 50-200mil/mês C) R$ 200-500mil/mês D) Acima de R$ 500mil/mês',
-  
-  'OFERECER_AGENDAMENTOS': 'Puxa vida! Com base no seu perfil, tenho uma proposta que vai te interessar. Que tal agendarmos uma conversa de 30 minutos? Quero te mostrar uma estratégia que pode melhorar seus resultados.',
-  
-  'AGENDAMENTO_CONFIRMADO': 'Show! Reunião confirmada! Você vai receber um convite no email com todos os detalhes e o link da videoconferência. Tenho certeza que será uma conversa produtiva! Até breve, parceiro!'
-};
-    const prompt = `${systemPrompts[currentStage]}
-
-RESPONDA APENAS COM JSON VÁLIDO:
-{
-  "intent": "greeting|providing_info|confirming|scheduling|selecting_slot|other",
-  "extracted_data": {
-    "name": "string ou null",
-    "function": "string ou null", 
-    "email": "string ou null",
-    "selected_slot": "string ou null"
-  },
-  "response": "resposta para o usuário",
-  "next_stage": "${getNextStage(currentStage)}|${currentStage}",
-  "confidence": 0.8,
-  "needs_calendar_slots": false,
-  "schedule_meeting": false
+function getFlowFields(definition) {
+  const fields = {};
+  Object.values(definition.stages || {}).forEach(stageDef => {
+    if (stageDef.field) fields[stageDef.field] = stageDef.validation || null;
+  });
+  return fields;
 }
 
-MENSAGEM: "${message}"`;
+const CONDITION_OPERATORS = ['equals', 'in', 'notIn', 'exists'];
 
-   if (!genAI) {
-  throw new Error('Google AI não configurado');
-}
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-const result = await model.generateContent(prompt);
-const response = await result.response;
-const text = response.text();
-    return JSON.parse(text);
-  } catch (error) {
-    logger.error('AI processing error:', error);
-    return {
-      intent: 'error',
-      extracted_data: {},
-      response: 'Desculpe, tive um problema técnico. Pode repetir?',
-      next_stage: conversation.stage,
-      confidence: 0,
-      needs_calendar_slots: false,
-      schedule_meeting: false
-    };
+/**
+ * Valida a definição de um fluxo: estágios e campos conhecidos, destinos existentes,
+ * condições bem formadas, nenhum estágio inalcançável e nenhum beco sem saída.
+ * Retorna a lista de erros (vazia = fluxo válido).
+ */
+function validateFlowDefinition(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object') return ['definição do fluxo ausente'];
+
+  const stages = definition.stages;
+  if (!stages || typeof stages !== 'object' || Object.keys(stages).length === 0) {
+    return ['o fluxo precisa de pelo menos um estágio em "stages"'];
+  }
+  if (!stages[definition.initialStage]) {
+    errors.push(`initialStage "${definition.initialStage}" não existe em stages`);
+  }
+  if (definition.persona !== undefined && typeof definition.persona !== 'string') {
+    errors.push('"persona" deve ser texto');
   }
-}
 
-function getNextStage(currentStage) {
-  const stageFlow = {
-      'INITIAL': 'SOLICITAR_NOME',
-      'SOLICITAR_NOME': 'SOLICITAR_FUNCAO', 
-      'SOLICITAR_FUNCAO': 'SOLICITAR_EMAIL',
-      'SOLICITAR_EMAIL': 'SOLICITAR_FATURAMENTO',
-      'SOLICITAR_FATURAMENTO': 'OFERECER_AGENDAMENTOS',
-      'OFERECER_AGENDAMENTOS': 'AGENDAMENTO_CONFIRMADO',
-      'AGENDAMENTO_CONFIRMADO': 'COMPLETED'
-    };
-  
-  return stageFlow[currentStage] || 'COMPLETED';
-}
+  const isTarget = name => Boolean(stages[name]) || name === 'COMPLETED';
+  const edges = {};
 
-// ============================================================================
-// WHATSAPP API
-// ============================================================================
+  Object.keys(stages).forEach(name => {
+    const stageDef = stages[name];
+    const prefix = `estágio ${name}`;
+    edges[name] = [];
 
-async function sendWhatsAppMessage(phoneNumber, message) {
-  try {
-    const url = `https://graph.facebook.com/v18.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
-    
-    const payload = {
-      messaging_product: 'whatsapp',
-      to: phoneNumber,
-      type: 'text',
-      text: { body: message }
-    };
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name)) errors.push(`${prefix}: nome deve ser MAIÚSCULO_COM_UNDERSCORE`);
+    if (name === 'ABANDONED') errors.push(`${prefix}: ABANDONED é controlado pelo sistema`);
+    if (!stageDef || typeof stageDef !== 'object') {
+      errors.push(`${prefix}: definição inválida`);
+      return;
+    }
+    if (typeof stageDef.prompt !== 'string' || !stageDef.prompt.trim()) {
+      errors.push(`${prefix}: "prompt" é obrigatório`);
+    }
 
-    const response = await axios.post(url, payload, {
-      headers: {
-        'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-        'Content-Type': 'application/json'
+    if (stageDef.field !== undefined) {
+      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(stageDef.field)) {
+        errors.push(`${prefix}: campo "${stageDef.field}" inválido`);
+      } else if (!FIELD_VALIDATORS[stageDef.field] && !stageDef.validation) {
+        errors.push(`${prefix}: campo personalizado "${stageDef.field}" precisa de "validation"`);
       }
-    });
+    }
+    if (stageDef.validation) {
+      const { pattern, options } = stageDef.validation;
+      if (pattern !== undefined) {
+        try { new RegExp(pattern, 'i'); } catch (e) { errors.push(`${prefix}: regex inválida em validation.pattern`); }
+      }
+      if (options !== undefined && (!Array.isArray(options) || options.length === 0)) {
+        errors.push(`${prefix}: validation.options deve ser uma lista não vazia`);
+      }
+    }
 
-    logger.info(`WhatsApp message sent to ${phoneNumber}`);
-    return response.data;
+    const transitions = getStageTransitions(stageDef);
+    if (isTerminalStage(name, stageDef)) {
+      if (transitions.length > 0) errors.push(`${prefix}: estágio final não pode ter "next"`);
+      return;
+    }
+    if (transitions.length === 0) {
+      errors.push(`${prefix}: sem "next" (beco sem saída); use "terminal": true se for um estágio final`);
+      return;
+    }
 
-  } catch (error) {
-    logger.error('WhatsApp API error:', error);
-    throw error;
+    transitions.forEach((transition, index) => {
+      if (!transition || !isTarget(transition.stage)) {
+        errors.push(`${prefix}: destino "${transition?.stage}" não existe`);
+        return;
+      }
+      if (transition.stage === SCHEDULED_STAGE && name !== SCHEDULING_STAGE) {
+        errors.push(`${prefix}: só ${SCHEDULING_STAGE} pode levar a ${SCHEDULED_STAGE}`);
+      }
+      const conditions = transition.when ? [].concat(transition.when) : [];
+      conditions.forEach(condition => {
+        const operator = CONDITION_OPERATORS.find(op => condition?.[op] !== undefined);
+        if (!condition?.field || !operator) {
+          errors.push(`${prefix}: condição inválida (use field + ${CONDITION_OPERATORS.join('/')})`);
+        }
+      });
+      if (index === transitions.length - 1 && conditions.length > 0) {
+        errors.push(`${prefix}: a última transição deve ser incondicional (padrão)`);
+      }
+      edges[name].push(transition.stage);
+    });
+  });
+
+  if (stages[SCHEDULING_STAGE] &&
+      !getStageTransitions(stages[SCHEDULING_STAGE]).some(t => t?.stage === SCHEDULED_STAGE)) {
+    errors.push(`${SCHEDULING_STAGE} deve levar a ${SCHEDULED_STAGE}`);
   }
-}
 
-// ============================================================================
-// N8N INTEGRATION
-// ============================================================================
+  if (errors.length > 0) return errors;
 
-async function sendToN8N(conversation) {
-  try {
-    const n8nPayload = {
-      phoneNumber: conversation.phoneNumber,
-      contactName: conversation.contactName || conversation.userData?.name || 'Sem nome',
-      currentStage: conversation.stage,
-      normalizedData: {
-        nome: conversation.userData?.name || '',
-        funcao: conversation.userData?.function || '',
-        email: conversation.userData?.email || '',
-        telefone: conversation.phoneNumber,
-        lead_score: conversation.userData?.leadScore || 0
-      },
-      appointmentData: {
-        scheduled: conversation.appointment?.scheduled || false,
-        eventId: conversation.appointment?.eventId || null,
-        meetLink: conversation.appointment?.meetLink || null,
-        status: conversation.appointment?.status || 'PENDING'
-      },
-      systemData: {
-        timestamp: new Date().toISOString(),
-        source: 'sdr-backend',
-        version: '2.1.0',
-        hasCalendarIntegration: true
+  // Estágios inalcançáveis a partir do inicial
+  const reachable = new Set([definition.initialStage]);
+  const queue = [definition.initialStage];
+  while (queue.length > 0) {
+    (edges[queue.shift()] || []).forEach(target => {
+      if (!reachable.has(target)) {
+        reachable.add(target);
+        queue.push(target);
       }
-    };
+    });
+  }
+  Object.keys(stages).filter(name => !reachable.has(name)).forEach(name => {
+    errors.push(`estágio ${name}: inalcançável a partir de ${definition.initialStage}`);
+  });
 
-    const n8nUrl = process.env.N8N_WEBHOOK_URL || 'https://saffron-app.n8n.cloud/webhook/lead-qualification';
-    
-    const response = await axios.post(n8nUrl, n8nPayload, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 15000
+  // Estágios que nunca chegam a um estágio final
+  const canFinish = new Set(Object.keys(stages).filter(name => isTerminalStage(name, stages[name])).concat('COMPLETED'));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    Object.keys(edges).forEach(name => {
+      if (!canFinish.has(name) && edges[name].some(target => canFinish.has(target))) {
+        canFinish.add(name);
+        changed = true;
+      }
     });
+  }
+  Object.keys(stages).filter(name => !canFinish.has(name)).forEach(name => {
+    errors.push(`estágio ${name}: não leva a nenhum estágio final (ciclo sem saída)`);
+  });
+
+  return errors;
+}
+
+async function getFlow(key, version) {
+  const cacheKey = `${key}@${version}`;
+  if (flowCache.has(cacheKey)) return flowCache.get(cacheKey);
+
+  let flow = await Flow.findOne({ key: key, version: version }).lean();
+  if (!flow && key === DEFAULT_FLOW.key && version === DEFAULT_FLOW.version) flow = DEFAULT_FLOW;
+  if (flow) flowCache.set(cacheKey, flow);
+  return flow;
+}
+
+// Versão ativa mais recente do fluxo (usada por conversas novas)
+async function getActiveFlow(key) {
+  const flow = await Flow.findOne({ key: key, active: true }).sort({ version: -1 }).lean();
+  if (flow) return flow;
+  if (key === DEFAULT_FLOW.key) return DEFAULT_FLOW;
+  throw new Error(`Fluxo "${key}" não encontrado ou inativo`);
+}
+
+// Conversas ficam presas à versão do fluxo em que começaram
+async function getConversationFlow(conversation) {
+  if (!conversation.flow?.key) {
+    conversation.flow = { key: DEFAULT_FLOW.key, version: DEFAULT_FLOW.version };
+  }
+
+  const flow = await getFlow(conversation.flow.key, conversation.flow.version);
+  if (!flow) throw new Error(`Fluxo ${conversation.flow.key}@${conversation.flow.version} não encontrado`);
+  return flow;
+}
+
+function getFlowStage(flow, stageName) {
+  return flow.definition.stages[stageName] || {};
+}
+
+function getFieldValue(conversation, field) {
+  const userData = conversation.userData || {};
+  if (FIELD_VALIDATORS[field]) return userData[field];
+  return userData.extra?.get ? userData.extra.get(field) : userData.extra?.[field];
+}
+
+function matchesCondition(condition, conversation) {
+  const value = getFieldValue(conversation, condition.field);
+  if (condition.exists !== undefined) return Boolean(value) === Boolean(condition.exists);
+  if (condition.equals !== undefined) return value === condition.equals;
+  if (condition.in !== undefined) return [].concat(condition.in).includes(value);
+  if (condition.notIn !== undefined) return ![].concat(condition.notIn).includes(value);
+  return false;
+}
+
+// Primeira transição cujas condições batem com os dados do lead
+function resolveNextStage(flow, stageName, conversation) {
+  const transition = getStageTransitions(getFlowStage(flow, stageName))
+    .find(t => [].concat(t.when || []).every(condition => matchesCondition(condition, conversation)));
+  return transition ? transition.stage : 'COMPLETED';
+}
+
+async function seedDefaultFlow() {
+  try {
+    await Flow.updateOne(
+      { key: DEFAULT_FLOW.key, version: DEFAULT_FLOW.version },
+      { $setOnInsert: DEFAULT_FLOW },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error('Default flow seed failed:', error.message);
+  }
+}
+
+// ============================================================================
+// GOOGLE CALENDAR FUNCTIONS
+// ============================================================================
+
+/**
+ * Tokens do Google ficam criptografados no banco (nunca na resposta do callback).
+ * O Google só devolve refresh_token no primeiro consentimento, então os novos
+ * tokens são mesclados aos já salvos.
+ */
+async function saveGoogleTokens(tokens, updatedBy) {
+  const current = await loadStoredGoogleTokens();
+  const merged = { ...(current || {}), ...tokens };
+  if (!tokens.refresh_token && current?.refresh_token) merged.refresh_token = current.refresh_token;
+
+  await OAuthToken.findOneAndUpdate(
+    { provider: 'google' },
+    { $set: { encryptedTokens: encryptSecret(JSON.stringify(merged)), updatedBy: updatedBy } },
+    { upsert: true }
+  );
+  return merged;
+}
+
+async function loadStoredGoogleTokens() {
+  const record = await OAuthToken.findOne({ provider: 'google' }).lean();
+  return record ? JSON.parse(decryptSecret(record.encryptedTokens)) : null;
+}
+
+// Na inicialização: tokens salvos têm precedência sobre GOOGLE_REFRESH_TOKEN
+async function loadGoogleCredentials() {
+  if (!oauth2Client) return;
+
+  try {
+    const tokens = await loadStoredGoogleTokens();
+    if (tokens) {
+      oauth2Client.setCredentials(tokens);
+      logger.info('Google Calendar credentials loaded from database');
+    }
+  } catch (error) {
+    logger.error('Failed to load stored Google credentials:', error.message);
+  }
+
+  // Google pode rotacionar o refresh token
+  oauth2Client.on('tokens', tokens => {
+    if (!tokens.refresh_token) return;
+    saveGoogleTokens(tokens, 'google-refresh')
+      .catch(error => logger.error('Failed to store refreshed Google tokens:', error.message));
+  });
+}
+
+function parseHourMinute(value, fallback) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((value || '').trim());
+  if (!match) return fallback;
+  return { hour: parseInt(match[1]), minute: parseInt(match[2]) };
+}
+
+function getSchedulingConfig() {
+  const businessDays = (process.env.BUSINESS_DAYS || '1,2,3,4,5')
+    .split(',')
+    .map(day => parseInt(day))
+    .filter(day => day >= 1 && day <= 7);
+
+  return {
+    timezone: process.env.TIMEZONE || 'America/Sao_Paulo',
+    calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+    start: parseHourMinute(process.env.BUSINESS_HOURS_START, { hour: 9, minute: 0 }),
+    end: parseHourMinute(process.env.BUSINESS_HOURS_END, { hour: 17, minute: 0 }),
+    // 1 = Segunda ... 7 = Domingo (isoWeekday)
+    businessDays: businessDays.length > 0 ? businessDays : [1, 2, 3, 4, 5],
+    holidays: (process.env.HOLIDAYS || '').split(',').map(d => d.trim()).filter(Boolean),
+    duration: parseInt(process.env.MEETING_DURATION_MINUTES) || 30,
+    buffer: parseInt(process.env.BUFFER_MINUTES) || 0,
+    minLeadTime: parseInt(process.env.MIN_LEAD_TIME_MINUTES) || 120,
+    maxSlots: parseInt(process.env.MAX_OFFERED_SLOTS) || 6,
+    holdMinutes: parseInt(process.env.SLOT_HOLD_MINUTES) || 15
+  };
+}
+
+/**
+ * Intervalos ocupados: free/busy do Google Calendar, reuniões já marcadas no
+ * MongoDB e horários ainda retidos por ofertas a outros leads. Falha do
+ * free/busy é relançada: sem ela não dá para garantir horário livre.
+ */
+async function getBusyIntervals(timeMin, timeMax, options = {}) {
+  const config = getSchedulingConfig();
+  const busy = [];
+
+  if (calendar) {
+    try {
+      const response = await calendar.freebusy.query({
+        requestBody: {
+          timeMin: timeMin.toISOString(),
+          timeMax: timeMax.toISOString(),
+          timeZone: config.timezone,
+          items: [{ id: config.calendarId }]
+        }
+      });
+      const calendarBusy = response.data.calendars?.[config.calendarId]?.busy || [];
+      calendarBusy.forEach(interval => {
+        busy.push({ start: new Date(interval.start), end: new Date(interval.end) });
+      });
+    } catch (error) {
+      logger.warn(`Free/busy query failed (${classifyCalendarError(error)}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  const query = {
+    'appointment.scheduled': true,
+    'appointment.status': { $in: ['PENDING', 'CONFIRMED'] },
+    'appointment.scheduledDate': {
+      $gte: moment(timeMin).subtract(config.duration, 'minutes').toDate(),
+      $lte: timeMax
+    }
+  };
+  if (options.excludePhoneNumber) {
+    query.phoneNumber = { $ne: options.excludePhoneNumber };
+  }
+
+  const booked = await Conversation.find(query).select('appointment.scheduledDate').lean();
+  booked.forEach(conv => {
+    const start = moment(conv.appointment.scheduledDate);
+    busy.push({ start: start.toDate(), end: start.clone().add(config.duration, 'minutes').toDate() });
+  });
+
+  const holdQuery = {
+    'metadata.isActive': true,
+    'offeredSlots.heldUntil': { $gt: new Date() },
+    'offeredSlots.slots.datetime': query['appointment.scheduledDate']
+  };
+  if (options.excludePhoneNumber) holdQuery.phoneNumber = query.phoneNumber;
+
+  const held = await Conversation.find(holdQuery).select('offeredSlots.slots.datetime').lean();
+  held.forEach(conv => {
+    conv.offeredSlots.slots.forEach(slot => {
+      const start = moment(slot.datetime);
+      busy.push({ start: start.toDate(), end: start.clone().add(config.duration, 'minutes').toDate() });
+    });
+  });
+
+  return busy;
+}
+
+function overlapsBusy(slotStart, config, busy) {
+  const start = slotStart.clone().subtract(config.buffer, 'minutes');
+  const end = slotStart.clone().add(config.duration + config.buffer, 'minutes');
+  return busy.some(interval => start.isBefore(interval.end) && end.isAfter(interval.start));
+}
+
+async function getAvailableSlots(daysAhead = 7, options = {}) {
+  try {
+    const config = getSchedulingConfig();
+    const limit = options.limit || config.maxSlots;
+    const now = moment().tz(config.timezone);
+    const earliest = now.clone().add(config.minLeadTime, 'minutes');
+    const windowEnd = now.clone().add(daysAhead, 'days').endOf('day');
+    const busy = await getBusyIntervals(now.toDate(), windowEnd.toDate(), options);
+    const availableSlots = [];
+
+    for (let day = 0; day <= daysAhead && availableSlots.length < limit; day++) {
+      const currentDay = now.clone().add(day, 'days').startOf('day');
+
+      if (!config.businessDays.includes(currentDay.isoWeekday())) continue;
+      if (config.holidays.includes(currentDay.format('YYYY-MM-DD'))) continue;
+
+      const dayEnd = currentDay.clone().hour(config.end.hour).minute(config.end.minute);
+      let slotStart = currentDay.clone().hour(config.start.hour).minute(config.start.minute);
+
+      while (slotStart.clone().add(config.duration, 'minutes').isSameOrBefore(dayEnd) && availableSlots.length < limit) {
+        if (slotStart.isSameOrAfter(earliest) && !overlapsBusy(slotStart, config, busy)) {
+          availableSlots.push({
+            datetime: slotStart.toISOString(),
+            display: slotStart.format('dddd DD/MM [às] HH:mm[h]'),
+            shortDisplay: slotStart.format('ddd DD/MM HH:mm')
+          });
+        }
+        slotStart = slotStart.clone().add(config.duration, 'minutes');
+      }
+    }
+
+    return availableSlots;
+
+  } catch (error) {
+    logger.error('Error getting available slots:', error);
+    return [];
+  }
+}
+
+// Cobre o intervalo entre criar o evento e a conversa ser salva com a reunião
+const SLOT_RESERVATION_MINUTES = 10;
+
+function formatSlotOptions(slots) {
+  return '\n\nHorários disponíveis:\n' +
+    slots.map((slot, index) => `${index + 1}. ${slot.display}`).join('\n') +
+    '\n\nDigite o número da opção (ex: 1, 2, 3...)';
+}
+
+async function isSlotAvailable(datetime, options = {}) {
+  const config = getSchedulingConfig();
+  const slotStart = moment(datetime).tz(config.timezone);
+  const busy = await getBusyIntervals(
+    slotStart.clone().subtract(config.buffer, 'minutes').toDate(),
+    slotStart.clone().add(config.duration + config.buffer, 'minutes').toDate(),
+    options
+  );
+  return !overlapsBusy(slotStart, config, busy);
+}
+
+// Reserva atômica do horário: só um lead passa daqui até o evento ser criado
+async function reserveSlot(datetime, phoneNumber) {
+  const start = new Date(datetime);
+  const expiresAt = moment().add(SLOT_RESERVATION_MINUTES, 'minutes').toDate();
+  try {
+    await SlotReservation.create({ start: start, phoneNumber: phoneNumber, expiresAt: expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Reserva do próprio lead ou já vencida (o TTL do Mongo leva até 1 minuto)
+  const taken = await SlotReservation.findOneAndUpdate(
+    { start: start, $or: [{ phoneNumber: phoneNumber }, { expiresAt: { $lte: new Date() } }] },
+    { $set: { phoneNumber: phoneNumber, expiresAt: expiresAt } }
+  );
+  return Boolean(taken);
+}
+
+async function releaseSlot(datetime, phoneNumber) {
+  await SlotReservation.deleteOne({ start: new Date(datetime), phoneNumber: phoneNumber });
+}
+
+function classifyCalendarError(error) {
+  const status = error.response?.status || error.code;
+  const reason = error.response?.data?.error;
+
+  if (reason === 'invalid_grant' || status === 401) return 'CALENDAR_TOKEN_EXPIRED';
+  if (status === 403) return 'CALENDAR_FORBIDDEN';
+  if (status === 404 || status === 410) return 'CALENDAR_EVENT_NOT_FOUND';
+  if (status === 409) return 'CALENDAR_CONFLICT';
+  return error.code && typeof error.code === 'string' ? error.code : 'CALENDAR_ERROR';
+}
+
+function assertCalendarReady() {
+  if (!calendar || !oauth2Client) {
+    const error = new Error('Google Calendar não configurado');
+    error.code = 'CALENDAR_NOT_CONFIGURED';
+    throw error;
+  }
+
+  const credentials = oauth2Client.credentials || {};
+  if (!credentials.refresh_token && !credentials.access_token) {
+    const error = new Error('Google Calendar sem token de acesso');
+    error.code = 'CALENDAR_TOKEN_MISSING';
+    throw error;
+  }
+}
+
+async function scheduleGoogleCalendarEvent(conversation, selectedSlot) {
+  try {
+    assertCalendarReady();
+
+    const { timezone, duration, calendarId } = getSchedulingConfig();
+    const startTime = moment(selectedSlot).tz(timezone);
+    const endTime = startTime.clone().add(duration, 'minutes');
+    const userData = conversation.userData || {};
+    const leadName = userData.name || conversation.contactName || conversation.phoneNumber;
+
+    const event = {
+      summary: `Reunião SDR - ${leadName}`,
+      description: [
+        `Nome: ${userData.name || '-'}`,
+        `Função: ${userData.function || '-'}`,
+        `Faturamento: ${getRevenueLabel(userData.revenue) || '-'}`,
+        `Email: ${userData.email || '-'}`,
+        `WhatsApp: ${conversation.phoneNumber}`
+      ].join('\n'),
+      start: { dateTime: startTime.format(), timeZone: timezone },
+      end: { dateTime: endTime.format(), timeZone: timezone },
+      attendees: userData.email ? [{ email: userData.email, displayName: userData.name || undefined }] : [],
+      conferenceData: {
+        createRequest: {
+          requestId: uuidv4(),
+          conferenceSolutionKey: { type: 'hangoutsMeet' }
+        }
+      },
+      reminders: { useDefault: true }
+    };
+
+    const response = await calendar.events.insert({
+      calendarId: calendarId,
+      conferenceDataVersion: 1,
+      sendUpdates: userData.email ? 'all' : 'none',
+      requestBody: event
+    });
+
+    const created = response.data;
+    const videoEntry = created.conferenceData?.entryPoints?.find(e => e.entryPointType === 'video');
+    const meetLink = created.hangoutLink || videoEntry?.uri || null;
+
+    logger.info(`Calendar event ${created.id} created for ${leadName} at ${startTime.format('DD/MM/YYYY HH:mm')}`);
+
+    return {
+      success: true,
+      eventId: created.id,
+      meetLink: meetLink,
+      htmlLink: created.htmlLink,
+      startTime: startTime.toISOString()
+    };
+
+  } catch (error) {
+    const code = classifyCalendarError(error);
+    logger.error(`Google Calendar scheduling error (${code}):`, error.message);
+    return {
+      success: false,
+      code: code,
+      error: error.message
+    };
+  }
+}
+
+
+async function rescheduleGoogleCalendarEvent(conversation, selectedSlot) {
+  try {
+    assertCalendarReady();
+
+    const { timezone, duration, calendarId } = getSchedulingConfig();
+    const startTime = moment(selectedSlot).tz(timezone);
+    const endTime = startTime.clone().add(duration, 'minutes');
+
+    const response = await calendar.events.patch({
+      calendarId: calendarId,
+      eventId: conversation.appointment.eventId,
+      sendUpdates: 'all',
+      requestBody: {
+        start: { dateTime: startTime.format(), timeZone: timezone },
+        end: { dateTime: endTime.format(), timeZone: timezone }
+      }
+    });
+
+    logger.info(`Calendar event ${response.data.id} moved to ${startTime.format('DD/MM/YYYY HH:mm')}`);
+
+    return {
+      success: true,
+      eventId: response.data.id,
+      meetLink: response.data.hangoutLink || conversation.appointment.meetLink,
+      startTime: startTime.toISOString()
+    };
+
+  } catch (error) {
+    const code = classifyCalendarError(error);
+    logger.error(`Google Calendar reschedule error (${code}):`, error.message);
+    return { success: false, code: code, error: error.message };
+  }
+}
+
+async function cancelGoogleCalendarEvent(eventId) {
+  try {
+    assertCalendarReady();
+
+    await calendar.events.delete({
+      calendarId: getSchedulingConfig().calendarId,
+      eventId: eventId,
+      sendUpdates: 'all'
+    });
+
+    logger.info(`Calendar event ${eventId} cancelled`);
+    return { success: true };
+
+  } catch (error) {
+    const code = classifyCalendarError(error);
+    // Evento já removido direto na agenda: nada a desfazer
+    if (code === 'CALENDAR_EVENT_NOT_FOUND') return { success: true };
+
+    logger.error(`Google Calendar cancel error (${code}):`, error.message);
+    return { success: false, code: code, error: error.message };
+  }
+}
+
+// ============================================================================
+// SLOT SELECTION
+// ============================================================================
+
+const WEEKDAYS = {
+  'segunda': 1, 'terca': 2, 'quarta': 3, 'quinta': 4, 'sexta': 5, 'sabado': 6, 'domingo': 7
+};
+
+const DAY_PERIODS = {
+  'manha': { from: 0, to: 12 },
+  'tarde': { from: 12, to: 18 },
+  'noite': { from: 18, to: 24 }
+};
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+// Interpreta "2", "opção 3", "quinta às 15h", "amanhã de manhã", "20/10 14:30"
+function parseSlotPreference(text, timezone) {
+  const normalized = normalizeText(text);
+  const now = moment().tz(timezone);
+  const preference = {};
+
+  const optionMatch = /^(?:opcao|op|numero)?\s*(\d{1,2})\s*[.)]?$/.exec(normalized);
+  if (optionMatch) {
+    return { index: parseInt(optionMatch[1]) - 1 };
+  }
+
+  if (/depois de amanha/.test(normalized)) {
+    preference.date = now.clone().add(2, 'days').format('YYYY-MM-DD');
+  } else if (/\bamanha\b/.test(normalized)) {
+    preference.date = now.clone().add(1, 'day').format('YYYY-MM-DD');
+  } else if (/\bhoje\b/.test(normalized)) {
+    preference.date = now.format('YYYY-MM-DD');
+  }
+
+  const dateMatch = /\b(\d{1,2})\/(\d{1,2})\b/.exec(normalized);
+  if (dateMatch) {
+    // Data inexistente ("31/02", "10/13") não vira o mês seguinte: a preferência é descartada
+    const day = { month: parseInt(dateMatch[2]) - 1, date: parseInt(dateMatch[1]) };
+    let date = moment.tz({ year: now.year(), ...day }, timezone);
+    if (date.isValid() && date.isBefore(now, 'day')) date = moment.tz({ year: now.year() + 1, ...day }, timezone);
+    if (!date.isValid()) return null;
+    preference.date = date.format('YYYY-MM-DD');
+  }
+
+  Object.keys(WEEKDAYS).forEach(name => {
+    if (!preference.date && new RegExp(`\\b${name}\\b`).test(normalized)) {
+      preference.weekday = WEEKDAYS[name];
+    }
+  });
+
+  Object.keys(DAY_PERIODS).forEach(name => {
+    if (new RegExp(`\\b${name}\\b`).test(normalized)) preference.period = name;
+  });
+
+  const timeMatch = /\b(\d{1,2})\s*(?:h|hs|horas|:)\s*(\d{2})?\b/.exec(normalized) ||
+    /\bas\s+(\d{1,2})(?::(\d{2}))?\b/.exec(normalized) ||
+    /\b(\d{1,2})(?::(\d{2}))?\s+da\s+(?:manha|tarde|noite)\b/.exec(normalized);
+  if (timeMatch) {
+    let hour = parseInt(timeMatch[1]);
+    if (hour < 12 && (preference.period === 'tarde' || preference.period === 'noite')) hour += 12;
+    if (hour <= 23) {
+      preference.hour = hour;
+      preference.minute = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
+    }
+  }
+
+  return Object.keys(preference).length > 0 ? preference : null;
+}
+
+function slotMatchesPreference(slot, preference, timezone) {
+  const start = moment(slot.datetime).tz(timezone);
+
+  if (preference.date && start.format('YYYY-MM-DD') !== preference.date) return false;
+  if (preference.weekday && start.isoWeekday() !== preference.weekday) return false;
+
+  if (preference.hour !== undefined) {
+    return start.hour() === preference.hour && start.minute() === preference.minute;
+  }
+  if (preference.period) {
+    const period = DAY_PERIODS[preference.period];
+    return start.hour() >= period.from && start.hour() < period.to;
+  }
+  return true;
+}
+
+function storeOfferedSlots(conversation, slots) {
+  const ttl = parseInt(process.env.OFFERED_SLOTS_TTL_MINUTES) || 720;
+  conversation.offeredSlots = {
+    slots: slots.map(slot => ({
+      datetime: new Date(slot.datetime),
+      display: slot.display,
+      shortDisplay: slot.shortDisplay
+    })),
+    offeredAt: new Date(),
+    expiresAt: moment().add(ttl, 'minutes').toDate(),
+    heldUntil: moment().add(getSchedulingConfig().holdMinutes, 'minutes').toDate()
+  };
+  return formatSlotOptions(slots);
+}
+
+/**
+ * Resolve a escolha do lead contra a lista de horários que ele realmente viu.
+ * Retorna { status: 'MATCHED' | 'PROPOSED' | 'EXPIRED' | 'NO_MATCH', slot?, slots? }
+ */
+async function resolveSlotSelection(messageText, conversation) {
+  const { timezone } = getSchedulingConfig();
+  const preference = parseSlotPreference(messageText, timezone);
+  if (!preference) return { status: 'NO_MATCH' };
+
+  const offered = conversation.offeredSlots || {};
+  const expired = !offered.expiresAt || moment(offered.expiresAt).isBefore(moment());
+  const offeredSlots = (offered.slots || []).filter(slot => moment(slot.datetime).isAfter(moment()));
+
+  if (preference.index !== undefined) {
+    if (expired) return { status: 'EXPIRED' };
+    const slot = offered.slots?.[preference.index];
+    if (!slot) return { status: 'NO_MATCH' };
+    return moment(slot.datetime).isAfter(moment()) ? { status: 'MATCHED', slot } : { status: 'EXPIRED' };
+  }
+
+  const exactTime = preference.hour !== undefined;
+  const matches = expired ? [] : offeredSlots.filter(slot => slotMatchesPreference(slot, preference, timezone));
+  if (matches.length === 1 || (exactTime && matches.length > 0)) {
+    return { status: 'MATCHED', slot: matches[0] };
+  }
+  if (matches.length > 1) {
+    return { status: 'PROPOSED', slots: matches };
+  }
+
+  // Nada na lista oferecida: procura novos horários que atendam ao pedido
+  const { maxSlots } = getSchedulingConfig();
+  const candidates = (await getAvailableSlots(14, { limit: 200, excludePhoneNumber: conversation.phoneNumber }))
+    .filter(slot => slotMatchesPreference(slot, preference, timezone));
+
+  if (exactTime && candidates.length > 0) {
+    return { status: 'MATCHED', slot: candidates[0] };
+  }
+  if (candidates.length > 0) {
+    return { status: 'PROPOSED', slots: candidates.slice(0, maxSlots) };
+  }
+  return expired ? { status: 'EXPIRED' } : { status: 'NO_MATCH' };
+}
+
+async function bookSelectedSlot(conversation, selectedSlot) {
+  const phoneNumber = conversation.phoneNumber;
+  const appointment = conversation.appointment || {};
+  const isReschedule = Boolean(appointment.scheduled && appointment.eventId);
+
+  let schedulingResult = { success: false, code: 'SLOT_UNAVAILABLE' };
+  if (await reserveSlot(selectedSlot.datetime, phoneNumber)) {
+    try {
+      if (await isSlotAvailable(selectedSlot.datetime, { excludePhoneNumber: phoneNumber })) {
+        schedulingResult = isReschedule
+          ? await rescheduleGoogleCalendarEvent(conversation, selectedSlot.datetime)
+          : await scheduleGoogleCalendarEvent(conversation, selectedSlot.datetime);
+      }
+    } catch (error) {
+      schedulingResult = { success: false, code: classifyCalendarError(error), error: error.message };
+    }
+    if (!schedulingResult.success) await releaseSlot(selectedSlot.datetime, phoneNumber);
+  }
+
+  if (schedulingResult.success) {
+    if (isReschedule) {
+      conversation.appointment.history.push({
+        action: 'RESCHEDULED',
+        previousDate: appointment.scheduledDate,
+        newDate: new Date(selectedSlot.datetime),
+        eventId: appointment.eventId
+      });
+    }
+
+    Object.assign(conversation.appointment, {
+      ...(isReschedule ? {} : { bookedAt: new Date() }),
+      scheduled: true,
+      eventId: schedulingResult.eventId,
+      meetLink: schedulingResult.meetLink,
+      scheduledDate: new Date(selectedSlot.datetime),
+      status: 'CONFIRMED',
+      rescheduling: false,
+      reminders: {}
+    });
+    conversation.offeredSlots = { slots: [] };
+    conversation.stage = SCHEDULED_STAGE;
+
+    return {
+      event: isReschedule ? 'appointment.rescheduled' : 'appointment.scheduled',
+      response: `✅ Reunião ${isReschedule ? 'remarcada' : 'agendada'} para ${selectedSlot.display}!\n\n` +
+        `📧 Você receberá ${isReschedule ? 'a atualização do convite' : 'um convite'} por email com o link do Google Meet.\n\n` +
+        (schedulingResult.meetLink ? `📅 Link: ${schedulingResult.meetLink}\n\n` : '') +
+        `Até lá! 😊`
+    };
+  }
+
+  if (schedulingResult.code === 'SLOT_UNAVAILABLE') {
+    const freshSlots = await getAvailableSlots(7, { excludePhoneNumber: phoneNumber });
+    return {
+      event: null,
+      response: 'Poxa, esse horário acabou de ser preenchido!' +
+        (freshSlots.length > 0 ? storeOfferedSlots(conversation, freshSlots) : ' Nossa equipe vai te chamar com novas opções.')
+    };
+  }
+
+  return {
+    event: null,
+    response: 'Não consegui confirmar esse horário na agenda agora. ' +
+      'Nossa equipe vai entrar em contato para fechar o agendamento com você!'
+  };
+}
+
+// ============================================================================
+// RESCHEDULE / CANCEL
+// ============================================================================
+
+function detectAppointmentIntent(messageText, conversation) {
+  const appointment = conversation.appointment || {};
+  if (!appointment.scheduled || !['CONFIRMED', 'NO_SHOW', 'PENDING_REVIEW'].includes(appointment.status)) return null;
+
+  const normalized = normalizeText(messageText);
+  const reminders = appointment.reminders || {};
+  if (reminders.confirmationRequestedAt && !reminders.attendanceConfirmedAt && appointment.status === 'CONFIRMED' &&
+      /^(sim|confirmo|confirmado|confirmada|ok|combinado|estarei la|pode confirmar)\b/.test(normalized)) {
+    return 'CONFIRM';
+  }
+  // "outro dia" solto aparece em conversa casual ("falo com você outro dia"): só vale ligado à reunião ou sozinho
+  if (/\b(remarcar|remarca|reagendar|reagenda|adiar|(mudar|trocar) (o |de )?(horario|dia|data)|outr[oa] (dia|horario|data) (para|pra) (a |nossa )?(reuniao|conversa|call))\b/.test(normalized) ||
+      /^(outro (dia|horario)|outra data)\W*$/.test(normalized)) {
+    return 'RESCHEDULE';
+  }
+  if (appointment.status === 'CONFIRMED' && /\b(cancelar|cancela|cancelo|desmarcar|desmarca)\b/.test(normalized)) {
+    return 'CANCEL';
+  }
+  return null;
+}
+
+async function handleAppointmentChange(conversation, intent) {
+  const appointment = conversation.appointment;
+  const { timezone } = getSchedulingConfig();
+  const currentDisplay = moment(appointment.scheduledDate).tz(timezone).format('DD/MM [às] HH:mm[h]');
+
+  if (intent === 'CONFIRM') {
+    appointment.reminders.attendanceConfirmedAt = new Date();
+    return {
+      event: 'appointment.confirmed',
+      response: `Perfeito, presença confirmada para ${currentDisplay}! Te esperamos 🚀` +
+        (appointment.meetLink ? `\n\n📅 Link: ${appointment.meetLink}` : '')
+    };
+  }
+
+  if (intent === 'RESCHEDULE') {
+    const availableSlots = await getAvailableSlots(7, { excludePhoneNumber: conversation.phoneNumber });
+    if (availableSlots.length === 0) {
+      return {
+        event: null,
+        response: `Sem problema! No momento não tenho horários livres, então mantive sua reunião de ${currentDisplay}. ` +
+          'Nossa equipe vai te chamar para encontrar outra data.'
+      };
+    }
+
+    appointment.rescheduling = true;
+    conversation.stage = SCHEDULING_STAGE;
+    return {
+      event: null,
+      response: `Sem problema! Sua reunião está marcada para ${currentDisplay}. Qual desses horários fica melhor?` +
+        storeOfferedSlots(conversation, availableSlots)
+    };
+  }
+
+  const cancelResult = await cancelGoogleCalendarEvent(appointment.eventId);
+  if (!cancelResult.success) {
+    return {
+      event: null,
+      response: 'Não consegui cancelar a reunião agora. Nossa equipe vai cuidar disso e te confirma em seguida!'
+    };
+  }
+
+  appointment.history.push({
+    action: 'CANCELLED',
+    previousDate: appointment.scheduledDate,
+    eventId: appointment.eventId
+  });
+  Object.assign(appointment, {
+    scheduled: false,
+    status: 'CANCELLED',
+    rescheduling: false
+  });
+  conversation.offeredSlots = { slots: [] };
+  conversation.stage = SCHEDULING_STAGE;
+
+  return {
+    event: 'appointment.cancelled',
+    response: `Tudo certo, cancelei a reunião de ${currentDisplay}. ` +
+      'Se quiser marcar outro horário é só me chamar! 😉'
+  };
+}
+
+// ============================================================================
+// FIELD VALIDATION
+// ============================================================================
+
+const REVENUE_BRACKETS = {
+  'ATE_50K': { letter: 'A', label: 'Até R$ 50mil/mês', max: 50000 },
+  '50K_200K': { letter: 'B', label: 'R$ 50-200mil/mês', max: 200000 },
+  '200K_500K': { letter: 'C', label: 'R$ 200-500mil/mês', max: 500000 },
+  'ACIMA_500K': { letter: 'D', label: 'Acima de R$ 500mil/mês', max: Infinity }
+};
+
+const KNOWN_ROLES = [
+  { label: 'Sócio/Fundador', pattern: /\b(dono|dona|socio|socia|proprietari[oa]|fundador[a]?|ceo|presidente|empresari[oa])\b/ },
+  { label: 'Diretor', pattern: /\b(diretor[a]?|head|cmo|cfo|cto|coo|cso|vp|vice[- ]presidente)\b/ },
+  { label: 'Gerente', pattern: /\b(gerente|gestor[a]?|manager)\b/ },
+  { label: 'Coordenador/Supervisor', pattern: /\b(coordenador[a]?|supervisor[a]?|lider|encarregad[oa])\b/ },
+  { label: 'Vendedor', pattern: /\b(vendedor[a]?|consultor[a]? (comercial|de vendas)|executiv[oa] de (vendas|contas)|sdr|bdr|closer|representante)\b/ },
+  { label: 'Analista', pattern: /\b(analista|assistente|auxiliar)\b/ }
+];
+
+const VAGUE_ROLES = /^(funcionari[oa]|colaborador[a]?|trabalho (la|na empresa|aqui)|empregad[oa]|sim|nao|ok)$/;
+
+const DISPOSABLE_EMAIL_DOMAINS = [
+  'mailinator.com', 'guerrillamail.com', '10minutemail.com', 'tempmail.com', 'temp-mail.org',
+  'yopmail.com', 'trashmail.com', 'getnada.com', 'sharklasers.com', 'dispostable.com',
+  'maildrop.cc', 'throwawaymail.com', 'fakeinbox.com', 'emailondeck.com', 'mohmal.com'
+];
+
+const NAME_PARTICLES = ['da', 'de', 'do', 'das', 'dos', 'e'];
+
+const FIELD_REASK_MESSAGES = {
+  name: 'Não consegui entender seu nome 😅 Pode me mandar seu nome completo? (ex: João Silva)',
+  function: 'Legal! Mas conta mais detalhes: você é vendedor, supervisor, gerente, diretor ou sócio?',
+  email: 'Hmm, esse email não parece válido. Pode conferir e me mandar de novo? (ex: nome@empresa.com.br)',
+  email_disposable: 'Esse parece ser um email temporário. Pode me passar seu email da empresa?',
+  revenue: 'Não consegui identificar a faixa. Me responde só com a letra:\n' +
+    Object.values(REVENUE_BRACKETS).map(b => `${b.letter}) ${b.label}`).join('\n')
+};
+
+function validateName(value) {
+  const cleaned = (value || '')
+    .replace(/^(meu nome (e|é)|me chamo|eu sou( o| a)?|sou( o| a)?|aqui (e|é)( o| a)?)\s+/i, '')
+    .replace(/[.!,]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (cleaned.length < 2 || cleaned.length > 80 || !/^[A-Za-zÀ-ÿ' -]+$/.test(cleaned)) {
+    return { valid: false, error: 'name' };
+  }
+
+  const name = cleaned.toLowerCase().split(' ').map((part, index) => {
+    if (index > 0 && NAME_PARTICLES.includes(part)) return part;
+    return part.charAt(0).toUpperCase() + part.slice(1);
+  }).join(' ');
+
+  return { valid: true, value: name };
+}
+
+function validateEmail(value) {
+  const match = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/.exec(value || '');
+  if (!match) return { valid: false, error: 'email' };
+
+  const email = match[0].toLowerCase().replace(/\.+$/, '');
+  const [local, domain] = email.split('@');
+  if (!local || local.startsWith('.') || local.endsWith('.') || email.includes('..') ||
+      !/^([a-z0-9-]+\.)+[a-z]{2,}$/.test(domain)) {
+    return { valid: false, error: 'email' };
+  }
+
+  const extraDisposable = (process.env.DISPOSABLE_EMAIL_DOMAINS || '')
+    .split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+  if (DISPOSABLE_EMAIL_DOMAINS.concat(extraDisposable).includes(domain)) {
+    return { valid: false, error: 'email_disposable' };
+  }
+
+  return { valid: true, value: email };
+}
+
+const REVENUE_AMOUNT = '(\\d+(?:[.,]\\d+)*)\\s*(mil|k|milh(?:ao|oes)|mi|m)?\\b';
+const REVENUE_RANGE_PATTERN = new RegExp(`${REVENUE_AMOUNT}\\s*(?:e|a|ate|-)\\s*${REVENUE_AMOUNT}`);
+const REVENUE_LOWER_BOUND_PATTERN = new RegExp(`\\b(?:acima de|mais de|superior a|passa de|alem de)\\s*${REVENUE_AMOUNT}`);
+
+function toRevenueNumber(digits, unit) {
+  const multiplier = {
+    'mil': 1000, 'k': 1000, 'milhao': 1000000, 'milhoes': 1000000, 'mi': 1000000, 'm': 1000000
+  }[unit] || 1;
+  // "150.000" é milhar; "1,5" é decimal
+  const number = multiplier === 1
+    ? parseFloat(digits.replace(/[.,]/g, ''))
+    : parseFloat(digits.replace(/\./g, '').replace(',', '.'));
+
+  return Number.isFinite(number) ? number * multiplier : null;
+}
+
+// Faixa ("entre 50 e 200 mil") vira o ponto médio; "acima de X" fica logo acima de X
+function parseRevenueAmount(text) {
+  const range = REVENUE_RANGE_PATTERN.exec(text);
+  if (range) {
+    const upper = toRevenueNumber(range[3], range[4]);
+    // "50 e 200 mil": a unidade do segundo valor vale para o primeiro
+    const lower = toRevenueNumber(range[1], range[2] || range[4]);
+    // Valores sem unidade abaixo de mil não são faturamento ("2 a 3 lojas")
+    if (upper >= 1000 && lower !== null) return lower <= upper ? (lower + upper) / 2 : upper;
+  }
+
+  const lowerBound = REVENUE_LOWER_BOUND_PATTERN.exec(text);
+  if (lowerBound) {
+    const amount = toRevenueNumber(lowerBound[1], lowerBound[2]);
+    return amount === null ? null : amount + 1;
+  }
+
+  // Prefere o primeiro valor com cara de faturamento ("2 lojas e 300 mil" → 300 mil)
+  const amounts = [...text.matchAll(new RegExp(REVENUE_AMOUNT, 'g'))]
+    .map(match => toRevenueNumber(match[1], match[2]))
+    .filter(amount => amount !== null);
+  return amounts.find(amount => amount >= 1000) ?? amounts[0] ?? null;
+}
+
+// Letra só conta sozinha ("b", "letra c", "(d)") ou como opção marcada ("b) uns 150 mil"),
+// para "a gente fatura..." não virar a faixa A
+function parseRevenueLetter(text) {
+  const match = /^(?:(?:letra|opcao|alternativa|faixa)\s*)?\(?([abcd])\)?[.!]?$/.exec(text) ||
+    /^\(?([abcd])\)\s/.exec(text) ||
+    /\b(?:letra|opcao|alternativa|faixa)\s+([abcd])\b/.exec(text);
+  return match ? match[1].toUpperCase() : null;
+}
+
+// Aceita a letra da faixa (A-D), o código canônico ou um valor ("uns 80 mil", "R$ 1,2 milhão")
+function normalizeRevenue(value) {
+  const text = normalizeText(value);
+  if (!text) return { valid: false, error: 'revenue' };
+
+  const upper = (value || '').trim().toUpperCase();
+  if (REVENUE_BRACKETS[upper]) return { valid: true, value: upper };
+
+  const letter = parseRevenueLetter(text);
+  if (letter) {
+    return { valid: true, value: Object.keys(REVENUE_BRACKETS).find(key => REVENUE_BRACKETS[key].letter === letter) };
+  }
+
+  const amount = parseRevenueAmount(text.replace(/r\$/g, ''));
+  if (amount === null || amount <= 0) return { valid: false, error: 'revenue' };
+
+  const code = Object.keys(REVENUE_BRACKETS).find(key => amount <= REVENUE_BRACKETS[key].max);
+  return { valid: true, value: code };
+}
+
+function getRevenueLabel(code) {
+  return REVENUE_BRACKETS[code]?.label || code || '';
+}
+
+function normalizeRole(value) {
+  const text = normalizeText(value).replace(/^(eu )?(sou|trabalho como|atuo como|minha funcao e)\s+(o |a |um |uma )?/, '');
+  if (!text || text.length < 3 || VAGUE_ROLES.test(text)) return { valid: false, error: 'function' };
+
+  const known = KNOWN_ROLES.find(role => role.pattern.test(text));
+  if (known) return { valid: true, value: known.label };
+
+  // Cargo fora da lista: mantém o texto do lead (com acentos), sem o prefixo
+  const original = (value || '').trim().toLowerCase()
+    .replace(/^(eu )?(sou|trabalho como|atuo como|minha função é|minha funcao e)\s+(o |a |um |uma )?/, '');
+  if (original.length > 60 || !/[a-zà-ÿ]/.test(original)) return { valid: false, error: 'function' };
+  return { valid: true, value: original.charAt(0).toUpperCase() + original.slice(1) };
+}
+
+const FIELD_VALIDATORS = {
+  name: validateName,
+  function: normalizeRole,
+  email: validateEmail,
+  revenue: normalizeRevenue
+};
+
+// Campos personalizados de fluxos: validation = { options, pattern, minLength, maxLength }
+function validateCustomField(value, validation = {}) {
+  const text = (value || '').trim();
+  if (!text) return { valid: false, error: 'custom' };
+
+  if (validation.options) {
+    const normalized = normalizeText(text);
+    const option = validation.options.find(o => normalizeText(o) === normalized) ||
+      validation.options.find(o => normalized.includes(normalizeText(o)));
+    return option ? { valid: true, value: option } : { valid: false, error: 'custom' };
+  }
+
+  if ((validation.minLength && text.length < validation.minLength) ||
+      (validation.maxLength && text.length > validation.maxLength) ||
+      (validation.pattern && !new RegExp(validation.pattern, 'i').test(text))) {
+    return { valid: false, error: 'custom' };
+  }
+  return { valid: true, value: text };
+}
+
+function getReaskMessage(stageDef, errorKey) {
+  return stageDef.reask || FIELD_REASK_MESSAGES[errorKey] ||
+    `Não consegui entender 😅 ${stageDef.question || 'Pode repetir?'}`;
+}
+
+// Valida um campo nativo ou personalizado do fluxo; null se o campo não existe
+function validateFieldValue(field, value, flow) {
+  if (FIELD_VALIDATORS[field]) return FIELD_VALIDATORS[field](value);
+
+  const customFields = getFlowFields(flow.definition);
+  if (customFields[field]) return validateCustomField(value, customFields[field]);
+  return null;
+}
+
+function setFieldValue(conversation, field, value) {
+  if (!conversation.userData) conversation.userData = {};
+  if (FIELD_VALIDATORS[field]) {
+    conversation.userData[field] = value;
+  } else {
+    if (!conversation.userData.extra) conversation.userData.extra = new Map();
+    conversation.userData.extra.set(field, value);
+  }
+}
+
+/**
+ * Valida os dados extraídos pela IA e grava só os válidos em userData.
+ * O campo do estágio também é lido direto da mensagem quando a IA não extrai
+ * (exceto nome e função, que dependem de interpretação).
+ * Retorna o erro do campo pedido no estágio atual (se houver).
+ */
+function applyExtractedData(conversation, extractedData, messageText, flow) {
+  const stageField = getFlowStage(flow, conversation.stage).field;
+  const candidates = { ...(extractedData || {}) };
+
+  if (stageField && !candidates[stageField] && !['name', 'function'].includes(stageField)) {
+    candidates[stageField] = messageText;
+  }
+
+  let stageError = null;
+
+  Object.keys(candidates).forEach(field => {
+    if (!candidates[field]) return;
+
+    const result = validateFieldValue(field, candidates[field], flow);
+    if (!result) return;
+
+    if (result.valid) {
+      setFieldValue(conversation, field, result.value);
+    } else if (field === stageField) {
+      stageError = result.error;
+    }
+  });
+
+  return stageError;
+}
+
+// ============================================================================
+// AI PROCESSING
+// ============================================================================
+
+const CONTEXT_FIELD_LABELS = {
+  name: 'Nome',
+  function: 'Função',
+  email: 'Email',
+  revenue: 'Faturamento'
+};
+
+// Estimativa grosseira (~4 caracteres por token) só para limitar o tamanho do prompt
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Monta o contexto enviado à IA: dados já coletados, horários oferecidos e uma
+ * janela das mensagens anteriores (MAX_CONVERSATION_HISTORY), das mais recentes
+ * para as mais antigas até estourar AI_CONTEXT_MAX_TOKENS.
+ */
+function buildConversationContext(conversation, currentMessage) {
+  const maxHistory = parseInt(process.env.MAX_CONVERSATION_HISTORY) || 100;
+  const tokenBudget = parseInt(process.env.AI_CONTEXT_MAX_TOKENS) || 2000;
+  const maxMessageLength = 500;
+  const userData = conversation.userData || {};
+  const sections = [];
+
+  const knownFields = Object.keys(CONTEXT_FIELD_LABELS)
+    .filter(field => userData[field])
+    .map(field => `- ${CONTEXT_FIELD_LABELS[field]}: ${field === 'revenue' ? getRevenueLabel(userData.revenue) : userData[field]}`);
+  if (userData.extra) {
+    for (const [field, value] of userData.extra) knownFields.push(`- ${field}: ${value}`);
+  }
+  if (knownFields.length > 0) {
+    sections.push(`DADOS JÁ COLETADOS (não pergunte de novo):\n${knownFields.join('\n')}`);
+  }
+
+  const offered = conversation.offeredSlots || {};
+  if (offered.slots?.length > 0) {
+    sections.push('HORÁRIOS JÁ OFERECIDOS AO LEAD:\n' +
+      offered.slots.map((slot, index) => `${index + 1}. ${slot.display}`).join('\n'));
+  }
+
+  if (conversation.appointment?.scheduled) {
+    const { timezone } = getSchedulingConfig();
+    sections.push(`REUNIÃO MARCADA: ${moment(conversation.appointment.scheduledDate).tz(timezone).format('DD/MM/YYYY HH:mm')}`);
+  }
+
+  // A mensagem atual já foi adicionada ao histórico antes de chamar a IA
+  const messages = (conversation.messages || []).slice();
+  const last = messages[messages.length - 1];
+  if (last && last.direction === 'INCOMING' && last.content === currentMessage) messages.pop();
+
+  let remaining = tokenBudget - estimateTokens(sections.join('\n\n'));
+  const history = [];
+  for (const msg of messages.slice(-maxHistory).reverse()) {
+    let content = (msg.content || '').replace(/\s+/g, ' ').trim();
+    if (content.length > maxMessageLength) content = content.substring(0, maxMessageLength) + '…';
+    const line = `${msg.direction === 'INCOMING' ? 'Lead' : 'SDR'}: ${content}`;
+
+    remaining -= estimateTokens(line);
+    if (remaining < 0) break;
+    history.unshift(line);
+  }
+
+  if (history.length > 0) {
+    sections.push(`HISTÓRICO DA CONVERSA (mais antigas primeiro):\n${history.join('\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+const AI_INTENTS = ['greeting', 'providing_info', 'confirming', 'scheduling', 'selecting_slot', 'other'];
+
+const AI_SENTIMENTS = ['positive', 'neutral', 'negative', 'angry'];
+
+const AI_BASE_FIELDS = ['name', 'function', 'email', 'revenue', 'selected_slot'];
+
+function getAIExtractedFields(flow) {
+  return AI_BASE_FIELDS.concat(Object.keys(getFlowFields(flow.definition)).filter(f => !AI_BASE_FIELDS.includes(f)));
+}
+
+function buildAIResponseSchema(flow) {
+  return {
+    type: SchemaType.OBJECT,
+    properties: {
+      intent: { type: SchemaType.STRING, enum: AI_INTENTS, format: 'enum' },
+      extracted_data: {
+        type: SchemaType.OBJECT,
+        properties: getAIExtractedFields(flow).reduce((props, field) => {
+          props[field] = { type: SchemaType.STRING, nullable: true };
+          return props;
+        }, {})
+      },
+      response: { type: SchemaType.STRING },
+      next_stage: {
+        type: SchemaType.STRING,
+        enum: Object.keys(flow.definition.stages).concat('COMPLETED'),
+        format: 'enum'
+      },
+      confidence: { type: SchemaType.NUMBER },
+      sentiment: { type: SchemaType.STRING, enum: AI_SENTIMENTS, format: 'enum' },
+      needs_calendar_slots: { type: SchemaType.BOOLEAN },
+      schedule_meeting: { type: SchemaType.BOOLEAN }
+    },
+    required: ['intent', 'extracted_data', 'response', 'next_stage', 'confidence']
+  };
+}
+
+/**
+ * Extrai o primeiro objeto JSON do texto da IA, tolerando cercas ```json e texto
+ * antes/depois. Lança erro se não houver objeto balanceado.
+ */
+function extractJson(text) {
+  const cleaned = (text || '').replace(/```(?:json)?/gi, '');
+  const start = cleaned.indexOf('{');
+  if (start === -1) throw new Error('Nenhum objeto JSON na resposta');
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < cleaned.length; i++) {
+    const char = cleaned[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}' && --depth === 0) {
+      return JSON.parse(cleaned.substring(start, i + 1));
+    }
+  }
+  throw new Error('Objeto JSON incompleto na resposta');
+}
+
+// Valida e normaliza a saída da IA; retorna { value, errors }
+function validateAIResult(raw, currentStage, flow) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['resposta não é um objeto JSON'] };
+  }
+
+  const response = typeof raw.response === 'string' ? raw.response.trim() : '';
+  if (!response) errors.push('"response" deve ser um texto não vazio');
+
+  const allowedStages = [currentStage]
+    .concat(getStageTransitions(getFlowStage(flow, currentStage)).map(t => t.stage));
+  let nextStage = raw.next_stage || currentStage;
+  if (!flow.definition.stages[nextStage] && nextStage !== 'COMPLETED') {
+    errors.push(`"next_stage" inválido: ${nextStage}`);
+  } else if (!allowedStages.includes(nextStage)) {
+    // Estágio válido mas fora da sequência: mantém o atual em vez de pular etapas
+    nextStage = currentStage;
+  }
+
+  const extracted = {};
+  const rawExtracted = raw.extracted_data && typeof raw.extracted_data === 'object' ? raw.extracted_data : {};
+  getAIExtractedFields(flow).forEach(field => {
+    const value = rawExtracted[field];
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'string') {
+      errors.push(`"extracted_data.${field}" deve ser texto ou null`);
+      return;
+    }
+    const trimmed = value.trim();
+    if (trimmed && trimmed.toLowerCase() !== 'null' && trimmed.length <= 200) {
+      extracted[field] = trimmed;
+    }
+  });
+
+  const confidence = Number(raw.confidence);
+
+  return {
+    errors: errors,
+    value: {
+      intent: AI_INTENTS.includes(raw.intent) ? raw.intent : 'other',
+      extracted_data: extracted,
+      response: response,
+      next_stage: nextStage,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+      sentiment: AI_SENTIMENTS.includes(raw.sentiment) ? raw.sentiment : 'neutral',
+      needs_calendar_slots: raw.needs_calendar_slots === true,
+      schedule_meeting: raw.schedule_meeting === true
+    }
+  };
+}
+
+// Resposta determinística por estágio quando a IA falha
+function getFallbackAIResult(conversation, flow) {
+  const stage = conversation.stage;
+  const question = getFlowStage(flow, stage).question;
+
+  return {
+    intent: 'fallback',
+    extracted_data: {},
+    response: question
+      ? `Desculpa, não entendi muito bem. ${question}`
+      : 'Qualquer dúvida sobre a nossa reunião é só me chamar por aqui!',
+    next_stage: stage,
+    confidence: 0,
+    sentiment: 'neutral',
+    needs_calendar_slots: false,
+    schedule_meeting: false
+  };
+}
+
+async function processMessageWithAI(message, conversation, flow) {
+  try {
+    const currentStage = conversation.stage;
+    const stageDef = getFlowStage(flow, currentStage);
+    const customFields = getAIExtractedFields(flow).filter(field => !AI_BASE_FIELDS.includes(field));
+    const systemPrompt = [flow.definition.persona, stageDef.prompt].filter(Boolean).join('\n\n');
+
+    const context = buildConversationContext(conversation, message);
+    const prompt = `${systemPrompt}
+${context ? `\n${context}\n` : ''}
+RESPONDA APENAS COM JSON VÁLIDO:
+{
+  "intent": "greeting|providing_info|confirming|scheduling|selecting_slot|other",
+  "extracted_data": {
+    "name": "string ou null",
+    "function": "string ou null", 
+    "email": "string ou null",
+    "revenue": "A|B|C|D ou valor informado ou null",
+    "selected_slot": "string ou null"${customFields.map(field => `,\n    "${field}": "string ou null"`).join('')}
+  },
+  "response": "resposta para o usuário",
+  "next_stage": "${resolveNextStage(flow, currentStage, conversation)}|${currentStage}",
+  "confidence": 0.8,
+  "sentiment": "positive|neutral|negative|angry",
+  "needs_calendar_slots": false,
+  "schedule_meeting": false
+}
+
+MENSAGEM: "${message}"`;
+
+    if (!genAI) {
+      throw new Error('Google AI não configurado');
+    }
+
+    const model = genAI.getGenerativeModel({
+      model: process.env.AI_MODEL || 'gemini-1.5-flash',
+      generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema: buildAIResponseSchema(flow)
+      }
+    });
+    const maxRetries = process.env.AI_MAX_RETRIES ? parseInt(process.env.AI_MAX_RETRIES) : 2;
+    let attemptPrompt = prompt;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const result = await model.generateContent(attemptPrompt);
+      const text = result.response.text();
+
+      let errors;
+      try {
+        const validated = validateAIResult(extractJson(text), currentStage, flow);
+        if (validated.errors.length === 0) return validated.value;
+        errors = validated.errors;
+      } catch (parseError) {
+        errors = [parseError.message];
+      }
+
+      logger.warn(`AI output rejected (attempt ${attempt + 1}/${maxRetries + 1}): ${errors.join('; ')}`);
+      attemptPrompt = `${prompt}
+
+SUA RESPOSTA ANTERIOR FOI REJEITADA:
+${text}
+
+PROBLEMAS: ${errors.join('; ')}
+Corrija e responda novamente APENAS com o objeto JSON, sem markdown ou texto extra.`;
+    }
+
+    throw new Error('AI output invalid after retries');
+  } catch (error) {
+    logger.error('AI processing error:', error.message);
+    return getFallbackAIResult(conversation, flow);
+  }
+}
+
+// ============================================================================
+// WHATSAPP API
+// ============================================================================
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v18.0';
+
+// Limites da API de mensagens interativas
+const INTERACTIVE_LIMITS = { body: 1024, button: 20, rowTitle: 24, rowDescription: 72, rows: 10, buttons: 3 };
+
+const APPOINTMENT_CONFIRM_BUTTONS = [
+  { id: 'appointment_confirm', title: 'Confirmo presença' },
+  { id: 'appointment_reschedule', title: 'Remarcar' }
+];
+
+// Respostas de botão que viram texto equivalente para o fluxo
+const INTERACTIVE_REPLY_TEXT = {
+  appointment_confirm: 'sim',
+  appointment_reschedule: 'remarcar',
+  campaign_opt_out: 'parar'
+};
+
+const UNSUPPORTED_MESSAGE_REPLIES = {
+  image: 'Recebi sua imagem, mas por aqui só consigo ler mensagens de texto 😅',
+  sticker: 'Adorei a figurinha! 😄',
+  location: 'Obrigado pela localização! 📍',
+  audio: 'Não consegui ouvir seu áudio por aqui 😅',
+  video: 'Recebi seu vídeo, mas por aqui só consigo ler mensagens de texto 😅',
+  document: 'Recebi seu arquivo, mas por aqui só consigo ler mensagens de texto 😅',
+  contacts: 'Obrigado pelo contato!',
+  default: 'Por enquanto só consigo entender mensagens de texto 😅'
+};
+
+function isInteractiveEnabled() {
+  return process.env.WHATSAPP_INTERACTIVE_ENABLED !== 'false';
+}
+
+function truncate(text, max) {
+  const value = String(text || '');
+  return value.length > max ? value.substring(0, max - 1) + '…' : value;
+}
+
+function buildListMessage(bodyText, buttonLabel, rows) {
+  return {
+    type: 'interactive',
+    interactive: {
+      type: 'list',
+      body: { text: truncate(bodyText, INTERACTIVE_LIMITS.body) },
+      action: {
+        button: truncate(buttonLabel, INTERACTIVE_LIMITS.button),
+        sections: [{
+          rows: rows.slice(0, INTERACTIVE_LIMITS.rows).map(row => ({
+            id: row.id,
+            title: truncate(row.title, INTERACTIVE_LIMITS.rowTitle),
+            ...(row.description && { description: truncate(row.description, INTERACTIVE_LIMITS.rowDescription) })
+          }))
+        }]
+      }
+    }
+  };
+}
+
+function buildReplyButtonsMessage(bodyText, buttons) {
+  return {
+    type: 'interactive',
+    interactive: {
+      type: 'button',
+      body: { text: truncate(bodyText, INTERACTIVE_LIMITS.body) },
+      action: {
+        buttons: buttons.slice(0, INTERACTIVE_LIMITS.buttons).map(button => ({
+          type: 'reply',
+          reply: { id: button.id, title: truncate(button.title, INTERACTIVE_LIMITS.button) }
+        }))
+      }
+    }
+  };
+}
+
+// Lista com os horários ofertados; o id carrega o índice da opção
+function buildSlotListMessage(bodyText, slots) {
+  return buildListMessage(bodyText, 'Ver horários', slots.map((slot, index) => ({
+    id: `slot_${index}`,
+    title: slot.shortDisplay || slot.display,
+    description: slot.display
+  })));
+}
+
+// Faixas de faturamento (são 4, acima do limite de 3 botões, por isso lista)
+function buildRevenueListMessage(bodyText) {
+  return buildListMessage(bodyText, 'Escolher faixa', Object.keys(REVENUE_BRACKETS).map(code => ({
+    id: `revenue_${code}`,
+    title: `${REVENUE_BRACKETS[code].letter}) ${REVENUE_BRACKETS[code].label.replace('/mês', '')}`,
+    description: REVENUE_BRACKETS[code].label
+  })));
+}
+
+/**
+ * Escolhe a versão interativa da resposta do turno, quando houver:
+ * lista de horários recém-ofertados ou faixas de faturamento.
+ * Retorna null para seguir com texto simples.
+ */
+function buildInteractiveReply(conversation, text, turnStartedAt, flow) {
+  if (!isInteractiveEnabled()) return null;
+
+  const offered = conversation.offeredSlots;
+  if (offered?.offeredAt && offered.offeredAt >= turnStartedAt && offered.slots?.length) {
+    return buildSlotListMessage(text, offered.slots);
+  }
+
+  if (getFlowStage(flow, conversation.stage).field === 'revenue' && !conversation.userData?.revenue) {
+    return buildRevenueListMessage(text);
+  }
+
+  return null;
+}
+
+// Converte a resposta de lista/botão no texto que o fluxo entende
+function getInteractiveReplyText(message) {
+  const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+  if (!reply) return null;
+
+  if (INTERACTIVE_REPLY_TEXT[reply.id]) return INTERACTIVE_REPLY_TEXT[reply.id];
+
+  const slotMatch = /^slot_(\d+)$/.exec(reply.id || '');
+  if (slotMatch) return String(parseInt(slotMatch[1], 10) + 1);
+
+  const revenueMatch = /^revenue_(.+)$/.exec(reply.id || '');
+  if (revenueMatch && REVENUE_BRACKETS[revenueMatch[1]]) {
+    const bracket = REVENUE_BRACKETS[revenueMatch[1]];
+    return `${bracket.letter}) ${bracket.label}`;
+  }
+
+  return reply.title || null;
+}
+
+async function downloadWhatsAppMedia(mediaId) {
+  const headers = { 'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}` };
+  const meta = await axios.get(`${GRAPH_API_URL}/${mediaId}`, { headers, timeout: 10000 });
+  const file = await axios.get(meta.data.url, { headers, responseType: 'arraybuffer', timeout: 30000 });
+
+  return { data: Buffer.from(file.data), mimeType: meta.data.mime_type };
+}
+
+// Transcrição padrão: envia o áudio para TRANSCRIPTION_API_URL, que responde { text }
+async function transcribeWithApi({ mediaId }) {
+  const media = await downloadWhatsAppMedia(mediaId);
+  const response = await axios.post(process.env.TRANSCRIPTION_API_URL, media.data, {
+    headers: {
+      'Content-Type': media.mimeType,
+      ...(process.env.TRANSCRIPTION_API_KEY && { 'Authorization': `Bearer ${process.env.TRANSCRIPTION_API_KEY}` })
+    },
+    timeout: 30000
+  });
+
+  return response.data?.text || null;
+}
+
+let transcriptionHook = process.env.TRANSCRIPTION_API_URL ? transcribeWithApi : null;
+
+/**
+ * Troca o transcritor de áudios. O hook recebe { mediaId, mimeType, phoneNumber }
+ * e retorna o texto transcrito (ou null). Passar null desativa a transcrição.
+ */
+function setTranscriptionHook(hook) {
+  transcriptionHook = hook;
+}
+
+async function transcribeAudio(message) {
+  if (!transcriptionHook || !message.audio?.id) return null;
+
+  try {
+    const text = await transcriptionHook({
+      mediaId: message.audio.id,
+      mimeType: message.audio.mime_type,
+      phoneNumber: message.from
+    });
+    return text && text.trim() ? text.trim() : null;
+  } catch (error) {
+    logger.error(`Audio transcription failed for ${message.from}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Extrai o texto de uma mensagem recebida: texto, resposta interativa,
+ * botão de template ou áudio transcrito. Retorna null para os demais tipos.
+ */
+async function getInboundMessageText(message) {
+  switch (message.type) {
+    case 'text':
+      return message.text?.body || null;
+    case 'interactive':
+      return getInteractiveReplyText(message);
+    case 'button':
+      return INTERACTIVE_REPLY_TEXT[message.button?.payload] || message.button?.text || message.button?.payload || null;
+    case 'audio':
+      return transcribeAudio(message);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Envia mensagem de texto (string) ou payload já montado
+ * ({ type: 'interactive', interactive: {...} }).
+ */
+async function sendWhatsAppMessage(phoneNumber, message) {
+  try {
+    const url = `${GRAPH_API_URL}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
+    
+    const payload = {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      ...(typeof message === 'string' ? { type: 'text', text: { body: message } } : message)
+    };
+
+    const response = await axios.post(url, payload, {
+      headers: {
+        'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 15000
+    });
+
+    logger.info(`WhatsApp message sent to ${phoneNumber}`);
+    return response.data;
+
+  } catch (error) {
+    const safeError = toSafeWhatsAppError(error);
+    logger.error(`WhatsApp API error for ${phoneNumber} (${safeError.response?.status || safeError.code || 'no response'}): ` +
+      (safeError.response ? JSON.stringify(safeError.response.data) : safeError.message));
+    throw safeError;
+  }
+}
+
+// O erro do axios carrega a requisição (com o Bearer token): só status, headers e corpo da resposta seguem adiante
+function toSafeWhatsAppError(error) {
+  const safeError = new Error(error.message);
+  safeError.code = error.code;
+  if (error.response) {
+    safeError.response = {
+      status: error.response.status,
+      headers: { 'retry-after': error.response.headers?.['retry-after'] },
+      data: error.response.data
+    };
+  }
+  return safeError;
+}
+
+// ============================================================================
+// WHATSAPP TEMPLATES
+// ============================================================================
+
+// Fora da janela de 24h desde a última mensagem do lead, só template aprovado é aceito
+const SESSION_WINDOW_HOURS = 24;
+
+function getLeadFirstName(conversation) {
+  const name = conversation.userData?.name || conversation.contactName || '';
+  return name.trim().split(' ')[0] || 'tudo bem';
+}
+
+function formatAppointmentParams(conversation) {
+  const { timezone } = getSchedulingConfig();
+  const when = moment(conversation.appointment?.scheduledDate).tz(timezone);
+  return [when.format('DD/MM'), when.format('HH:mm')];
+}
+
+/**
+ * Casos de uso -> templates aprovados no WhatsApp Manager.
+ * O nome pode ser trocado por WHATSAPP_TEMPLATE_<CASO>; os parâmetros seguem
+ * a ordem das variáveis {{1}}, {{2}}... do corpo do template.
+ */
+const WHATSAPP_TEMPLATES = {
+  APPOINTMENT_REMINDER: {
+    name: 'lembrete_reuniao',
+    bodyParams: conversation => [getLeadFirstName(conversation), ...formatAppointmentParams(conversation)],
+    buttonPayloads: ['appointment_confirm', 'appointment_reschedule']
+  },
+  FOLLOW_UP: {
+    name: 'retomar_conversa',
+    bodyParams: (conversation, context) => [getLeadFirstName(conversation), context.question]
+  },
+  NO_SHOW_REENGAGEMENT: {
+    name: 'reuniao_perdida',
+    bodyParams: conversation => [getLeadFirstName(conversation)],
+    buttonPayloads: ['appointment_reschedule']
+  }
+};
+
+function getLastIncomingAt(conversation) {
+  const messages = conversation.messages || [];
+  for (let index = messages.length - 1; index >= 0; index--) {
+    if (messages[index].direction === 'INCOMING') return messages[index].timestamp;
+  }
+  return null;
+}
+
+function isWithinSessionWindow(conversation) {
+  const lastIncomingAt = getLastIncomingAt(conversation);
+  return !!lastIncomingAt && moment().diff(moment(lastIncomingAt), 'hours', true) < SESSION_WINDOW_HOURS;
+}
+
+function toTextParameters(values) {
+  // Parâmetros de template não aceitam quebra de linha nem texto vazio
+  return values.map(value => ({
+    type: 'text',
+    text: String(value ?? '-').replace(/\s*\n+\s*/g, ' ').trim() || '-'
+  }));
+}
+
+/**
+ * Monta o payload de template: { name, language, headerParams, bodyParams, buttonPayloads }.
+ * buttonPayloads define o payload de cada botão de resposta rápida, na ordem do template.
+ */
+function buildTemplatePayload({ name, language, headerParams = [], bodyParams = [], buttonPayloads = [] }) {
+  const components = [];
+  if (headerParams.length) components.push({ type: 'header', parameters: toTextParameters(headerParams) });
+  if (bodyParams.length) components.push({ type: 'body', parameters: toTextParameters(bodyParams) });
+  buttonPayloads.forEach((payload, index) => {
+    components.push({
+      type: 'button',
+      sub_type: 'quick_reply',
+      index: String(index),
+      parameters: [{ type: 'payload', payload: payload }]
+    });
+  });
+
+  return {
+    type: 'template',
+    template: {
+      name: name,
+      language: { code: language || process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'pt_BR' },
+      ...(components.length && { components })
+    }
+  };
+}
+
+async function sendWhatsAppTemplate(phoneNumber, template) {
+  return sendWhatsAppMessage(phoneNumber, buildTemplatePayload(template));
+}
+
+function buildUseCaseTemplate(useCase, conversation, context = {}) {
+  const entry = WHATSAPP_TEMPLATES[useCase];
+  if (!entry) throw new Error(`Template não cadastrado: ${useCase}`);
+
+  return buildTemplatePayload({
+    name: process.env[`WHATSAPP_TEMPLATE_${useCase}`] || entry.name,
+    headerParams: entry.headerParams ? entry.headerParams(conversation, context) : [],
+    bodyParams: entry.bodyParams ? entry.bodyParams(conversation, context) : [],
+    buttonPayloads: entry.buttonPayloads || []
+  });
+}
+
+/**
+ * Escolhe o que enviar ao lead: mensagem de sessão (texto ou interativa) dentro
+ * da janela de 24h, senão o template do caso de uso (options.template = { useCase, context }).
+ */
+function resolveOutboundMessage(conversation, message, options = {}) {
+  if (isWithinSessionWindow(conversation)) {
+    return { payload: (isInteractiveEnabled() && options.interactive) || message, template: null };
+  }
+
+  if (!options.template) {
+    const error = new Error(`${conversation.phoneNumber} is outside the 24h window and no template was provided`);
+    error.code = 'TEMPLATE_REQUIRED';
+    throw error;
+  }
+
+  const payload = buildUseCaseTemplate(options.template.useCase, conversation, options.template.context);
+  return { payload: payload, template: payload.template.name };
+}
+
+// ============================================================================
+// DELIVERY STATUS
+// ============================================================================
+
+// Status só avança (sent -> delivered -> read); FAILED vale a qualquer momento
+const MESSAGE_STATUS_ORDER = ['PENDING', 'SENT', 'DELIVERED', 'READ'];
+
+// Erro da Graph API (resposta do envio ou item de statuses[].errors)
+function getWhatsAppError(error) {
+  const apiError = error?.response?.data?.error || error;
+  return {
+    code: apiError?.code,
+    title: apiError?.title || apiError?.type,
+    message: apiError?.error_data?.details || apiError?.message
+  };
+}
+
+/**
+ * Registra a mensagem no histórico e envia pelo outbox; no envio a entrada
+ * ganha o wamid devolvido pela Graph API. Falha temporária fica PENDING para
+ * o outbox tentar de novo; falha definitiva fica FAILED (com o erro) e é relançada.
+ * Lead com opt-out (LGPD) não recebe nada: lança erro com code OPTED_OUT.
+ * extra: campos adicionais da entrada (ex: template).
+ */
+async function sendAndRecordMessage(conversation, content, payload = content, extra = {}) {
+  assertNotOptedOut(conversation);
+
+  conversation.messages.push({
+    timestamp: new Date(),
+    direction: 'OUTGOING',
+    content: content,
+    messageId: uuidv4(),
+    status: 'PENDING',
+    ...extra
+  });
+  const entry = conversation.messages[conversation.messages.length - 1];
+  await conversation.save();
+
+  const delivery = await enqueueOutbox({
+    channel: 'WHATSAPP',
+    conversationId: conversation._id,
+    phoneNumber: conversation.phoneNumber,
+    entryId: entry.messageId,
+    payload: payload
+  });
+
+  // O outbox já gravou o resultado no banco; a entrada em memória não é alterada
+  // para um save posterior não sobrescrever status que chegam pelo webhook
+  if (delivery.status === 'DEAD') {
+    delivery.error.outboxStatus = 'DEAD';
+    throw delivery.error;
+  }
+  if (delivery.status === 'PENDING') {
+    logger.warn(`Message to ${conversation.phoneNumber} queued for retry`);
+  }
+
+  return delivery;
+}
+
+async function applyMessageStatus(status) {
+  const newStatus = (status.status || '').toUpperCase();
+  if (newStatus !== 'FAILED' && !MESSAGE_STATUS_ORDER.includes(newStatus)) return null;
+
+  const update = {
+    'messages.$.status': newStatus,
+    'messages.$.statusUpdatedAt': status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date()
+  };
+  if (newStatus === 'FAILED') update['messages.$.error'] = getWhatsAppError(status.errors?.[0]);
+
+  // Não regride status (ex: delivered chegando depois de read)
+  const allowedPrevious = newStatus === 'FAILED'
+    ? { $ne: 'FAILED' }
+    : { $in: [null, ...MESSAGE_STATUS_ORDER.slice(0, MESSAGE_STATUS_ORDER.indexOf(newStatus))] };
+
+  return Conversation.findOneAndUpdate(
+    { messages: { $elemMatch: { messageId: status.id, status: allowedPrevious } } },
+    { $set: update },
+    { new: true }
+  );
+}
+
+/**
+ * Aplica os statuses do webhook às mensagens enviadas. O status pode chegar
+ * antes do wamid ser salvo, então uma mensagem não encontrada é tentada de novo.
+ */
+async function processStatusUpdate(status, attempt = 1) {
+  const conversation = await applyMessageStatus(status);
+
+  if (!conversation) {
+    const known = await Conversation.exists({ 'messages.messageId': status.id });
+    if (!known && attempt < 3) {
+      setTimeout(() => {
+        processStatusUpdate(status, attempt + 1)
+          .catch(error => logger.error('Status update retry error:', error));
+      }, 2000 * attempt);
+    }
+    return;
+  }
+
+  if (status.status === 'failed') {
+    const error = getWhatsAppError(status.errors?.[0]);
+    logger.warn(`WhatsApp message ${status.id} to ${conversation.phoneNumber} failed: ${error.code} ${error.message || error.title || ''}`);
+    await publishEvent(conversation, 'message.failed', { messageId: status.id, error: error });
+  }
+}
+
+// ============================================================================
+// OUTBOX
+// ============================================================================
+
+// Limites de taxa da Cloud API: aguardam mais antes de tentar de novo
+const WHATSAPP_RATE_LIMIT_CODES = [4, 80007, 130429, 131048, 131056];
+// Instabilidades temporárias da Meta
+const WHATSAPP_TRANSIENT_CODES = [1, 2, 131000, 131016, 133004];
+
+function getOutboxConfig() {
+  return {
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 8,
+    baseDelayMs: (parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS, 10) || 30) * 1000,
+    maxDelayMs: (parseInt(process.env.OUTBOX_RETRY_MAX_MINUTES, 10) || 60) * 60 * 1000,
+    rateLimitDelayMs: (parseInt(process.env.OUTBOX_RATE_LIMIT_DELAY_SECONDS, 10) || 60) * 1000,
+    batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 50
+  };
+}
+
+/**
+ * Decide se a falha vale nova tentativa e quanto esperar (backoff exponencial;
+ * rate limit respeita Retry-After ou OUTBOX_RATE_LIMIT_DELAY_SECONDS).
+ */
+function classifyOutboxError(channel, error, attempts) {
+  const config = getOutboxConfig();
+  const httpStatus = error.response?.status;
+  const apiError = channel === 'WHATSAPP' ? getWhatsAppError(error) : { message: error.message };
+  const backoffMs = Math.min(config.baseDelayMs * Math.pow(2, attempts - 1), config.maxDelayMs);
+  const retryAfterMs = (parseInt(error.response?.headers?.['retry-after'], 10) || 0) * 1000;
+
+  const rateLimited = httpStatus === 429 ||
+    (channel === 'WHATSAPP' && WHATSAPP_RATE_LIMIT_CODES.includes(apiError.code));
+  const retryable = rateLimited || !error.response || httpStatus >= 500 || httpStatus === 408 ||
+    (channel === 'WHATSAPP' ? WHATSAPP_TRANSIENT_CODES.includes(apiError.code) : true);
+
+  return {
+    retryable: retryable,
+    delayMs: Math.max(backoffMs, retryAfterMs || (rateLimited ? config.rateLimitDelayMs : 0)),
+    error: { ...apiError, httpStatus: httpStatus, rateLimited: rateLimited }
+  };
+}
+
+async function markOutboxMessageSent(item, result) {
+  if (item.channel === 'WHATSAPP' && item.entryId) {
+    await Conversation.updateOne(
+      { _id: item.conversationId, 'messages.messageId': item.entryId },
+      {
+        $set: {
+          'messages.$.messageId': result?.messages?.[0]?.id || item.entryId,
+          'messages.$.status': 'SENT',
+          'messages.$.statusUpdatedAt': new Date()
+        }
+      }
+    );
+  } else if (item.channel === 'N8N' && item.conversationId) {
+    await Conversation.updateOne(
+      { _id: item.conversationId },
+      { $set: { 'n8nData.sent': true, 'n8nData.lastSent': new Date() } }
+    );
+  }
+}
+
+async function markOutboxMessageDead(item, error) {
+  if (item.channel !== 'WHATSAPP' || !item.entryId) return;
+
+  await Conversation.updateOne(
+    { _id: item.conversationId, 'messages.messageId': item.entryId },
+    {
+      $set: {
+        'messages.$.status': 'FAILED',
+        'messages.$.statusUpdatedAt': new Date(),
+        'messages.$.error': { code: error.code, title: error.title, message: error.message }
+      }
+    }
+  );
+}
+
+/**
+ * Uma tentativa de entrega. Retorna { status: SENT|PENDING|DEAD, result, error };
+ * PENDING fica agendado para o job do outbox.
+ */
+async function deliverOutboxMessage(item) {
+  const attempts = (item.attempts || 0) + 1;
+
+  try {
+    const result = item.channel === 'WHATSAPP'
+      ? await sendWhatsAppMessage(item.phoneNumber, item.payload)
+      : await postEventToSubscriber(item);
+
+    await OutboxMessage.updateOne(
+      { _id: item._id },
+      { $set: { status: 'SENT', attempts: attempts, sentAt: new Date() }, $unset: { lockedAt: 1 } }
+    );
+    await markOutboxMessageSent(item, result);
+    return { status: 'SENT', result: result };
+
+  } catch (error) {
+    const failure = classifyOutboxError(item.channel, error, attempts);
+    const dead = !failure.retryable || attempts >= getOutboxConfig().maxAttempts;
+    const nextAttemptAt = new Date(Date.now() + failure.delayMs);
+
+    await OutboxMessage.updateOne(
+      { _id: item._id },
+      {
+        $set: {
+          status: dead ? 'DEAD' : 'PENDING',
+          attempts: attempts,
+          lastError: failure.error,
+          ...(dead ? { deadAt: new Date() } : { nextAttemptAt: nextAttemptAt })
+        },
+        $unset: { lockedAt: 1 }
+      }
+    );
+
+    if (dead) {
+      await markOutboxMessageDead(item, failure.error);
+      logger.error(`Outbox ${item.channel} ${item._id} dead-lettered after ${attempts} attempt(s): ${failure.error.message}`);
+    } else {
+      logger.warn(`Outbox ${item.channel} ${item._id} failed (attempt ${attempts}), retrying at ${nextAttemptAt.toISOString()}`);
+    }
+
+    return { status: dead ? 'DEAD' : 'PENDING', error: error };
+  }
+}
+
+// Assinatura calculada a cada tentativa (timestamp atual)
+async function postEventToSubscriber(item) {
+  const body = typeof item.payload.body === 'string' ? item.payload.body : JSON.stringify(item.payload.body);
+  const response = await axios.post(item.payload.url, body, {
+    headers: buildEventHeaders(item.payload.subscriber, item.event, body),
+    timeout: 15000
+  });
+  return response.data;
+}
+
+// Grava no outbox e já faz a primeira tentativa
+async function enqueueOutbox(data) {
+  const item = await OutboxMessage.create({ ...data, status: 'PROCESSING', lockedAt: new Date() });
+  return { item: item, ...(await deliverOutboxMessage(item)) };
+}
+
+/**
+ * Job: reenvia o que está vencido. O claim atômico evita envio duplicado entre
+ * instâncias; itens presos em PROCESSING (instância caiu) voltam para a fila.
+ */
+async function processOutbox() {
+  const { batchSize } = getOutboxConfig();
+
+  await OutboxMessage.updateMany(
+    { status: 'PROCESSING', lockedAt: { $lte: moment().subtract(5, 'minutes').toDate() } },
+    { $set: { status: 'PENDING', nextAttemptAt: new Date() } }
+  );
+
+  for (let processed = 0; processed < batchSize; processed++) {
+    const item = await OutboxMessage.findOneAndUpdate(
+      { status: 'PENDING', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'PROCESSING', lockedAt: new Date() } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!item) break;
+
+    await deliverOutboxMessage(item);
+  }
+}
+
+// ============================================================================
+// N8N INTEGRATION
+// ============================================================================
+
+// Versão do formato do payload; mudanças incompatíveis sobem a versão
+const EVENT_SCHEMA_VERSION = '2.0';
+
+/**
+ * Assinantes dos eventos. N8N_SUBSCRIBERS é um JSON com
+ * [{ name, url, events: ['lead.*', 'appointment.scheduled'], secret }];
+ * sem ele, N8N_WEBHOOK_URL vira um assinante único de todos os eventos.
+ * O secret (padrão N8N_WEBHOOK_TOKEN) assina o corpo com HMAC-SHA256.
+ */
+function getEventSubscribers() {
+  if (process.env.N8N_SUBSCRIBERS) {
+    try {
+      return JSON.parse(process.env.N8N_SUBSCRIBERS)
+        .filter(subscriber => subscriber.name && subscriber.url)
+        .map(subscriber => ({
+          name: subscriber.name,
+          url: subscriber.url,
+          events: subscriber.events?.length ? subscriber.events : ['*'],
+          secret: subscriber.secret || process.env.N8N_WEBHOOK_TOKEN || null
+        }));
+    } catch (error) {
+      logger.error('Invalid N8N_SUBSCRIBERS JSON:', error.message);
+      return [];
+    }
+  }
+
+  if (process.env.N8N_WEBHOOK_URL) {
+    return [{
+      name: 'n8n',
+      url: process.env.N8N_WEBHOOK_URL,
+      events: ['*'],
+      secret: process.env.N8N_WEBHOOK_TOKEN || null
+    }];
+  }
+
+  return [];
+}
+
+// Filtro por evento: nome exato, prefixo com curinga ('lead.*') ou '*'
+function subscriberWantsEvent(subscriber, event) {
+  return subscriber.events.some(filter =>
+    filter === '*' || filter === event || (filter.endsWith('.*') && event.startsWith(filter.slice(0, -1))));
+}
+
+function buildEventPayload(conversation, event, data = {}) {
+  const userData = conversation.userData || {};
+  const appointment = conversation.appointment || {};
+
+  return {
+    schemaVersion: EVENT_SCHEMA_VERSION,
+    id: uuidv4(),
+    event: event,
+    occurredAt: new Date().toISOString(),
+    source: 'sdr-backend',
+    data: data,
+    lead: {
+      conversationId: conversation._id,
+      phoneNumber: conversation.phoneNumber,
+      contactName: conversation.contactName || userData.name || null,
+      stage: conversation.stage,
+      flow: conversation.flow ? { key: conversation.flow.key, version: conversation.flow.version } : null,
+      name: userData.name || null,
+      function: userData.function || null,
+      email: userData.email || null,
+      revenue: userData.revenue ? { code: userData.revenue, label: getRevenueLabel(userData.revenue) } : null,
+      customFields: userData.extra ? Object.fromEntries(userData.extra) : {},
+      leadScore: userData.leadScore || 0,
+      scoreBreakdown: userData.scoreBreakdown || [],
+      scoreVersion: userData.scoreVersion || null,
+      consent: conversation.consent?.status || null,
+      attribution: conversation.attribution?.campaign || conversation.attribution?.source ? {
+        campaign: conversation.attribution.campaign || null,
+        source: conversation.attribution.source || null,
+        contactSource: conversation.attribution.contactSource || null
+      } : null
+    },
+    appointment: {
+      scheduled: appointment.scheduled || false,
+      status: appointment.status || 'PENDING',
+      scheduledDate: appointment.scheduledDate || null,
+      eventId: appointment.eventId || null,
+      meetLink: appointment.meetLink || null,
+      history: appointment.history || []
+    }
+  };
+}
+
+/**
+ * Headers da entrega: a assinatura cobre "timestamp.corpo", então o
+ * receptor pode recusar reenvios antigos comparando X-SDR-Timestamp.
+ */
+function buildEventHeaders(subscriberName, event, body) {
+  const subscriber = getEventSubscribers().find(item => item.name === subscriberName);
+  const secret = subscriber ? subscriber.secret : process.env.N8N_WEBHOOK_TOKEN;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  return {
+    'Content-Type': 'application/json',
+    'X-SDR-Event': event || '',
+    'X-SDR-Schema-Version': EVENT_SCHEMA_VERSION,
+    'X-SDR-Timestamp': timestamp,
+    ...(secret && {
+      'X-SDR-Signature': 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+    })
+  };
+}
+
+/**
+ * Publica um evento para os assinantes interessados, pelo outbox.
+ * Retorna { success } = todos entregues agora (os demais seguem em retentativa).
+ */
+async function publishEvent(conversation, event, data = {}) {
+  try {
+    const subscribers = getEventSubscribers().filter(subscriber => subscriberWantsEvent(subscriber, event));
+    if (subscribers.length === 0) return { success: true, delivered: 0 };
+
+    const body = JSON.stringify(buildEventPayload(conversation, event, data));
+    const deliveries = [];
+    for (const subscriber of subscribers) {
+      deliveries.push(await enqueueOutbox({
+        channel: 'N8N',
+        conversationId: conversation._id,
+        phoneNumber: conversation.phoneNumber,
+        event: event,
+        payload: { subscriber: subscriber.name, url: subscriber.url, body: body }
+      }));
+    }
+
+    const delivered = deliveries.filter(delivery => delivery.status === 'SENT').length;
+    logger.info(`Event ${event} for ${conversation.phoneNumber || 'erased lead'} delivered to ${delivered}/${subscribers.length} subscriber(s)`);
+    return { success: delivered === subscribers.length, delivered: delivered };
+
+  } catch (error) {
+    logger.error(`Event ${event} publish error:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Snapshot dos dados coletados, para detectar o que o turno preencheu
+function getCollectedFields(conversation) {
+  const userData = conversation.userData || {};
+  const fields = {};
+  ['name', 'function', 'email', 'revenue'].forEach(field => {
+    if (userData[field]) fields[field] = userData[field];
+  });
+  if (userData.extra) {
+    userData.extra.forEach((value, field) => {
+      fields[field] = value;
+    });
+  }
+  return fields;
+}
+
+/**
+ * Eventos gerados por um turno: lead.created, lead.field_collected (um por
+ * campo novo ou alterado), lead.qualified (primeira chegada ao agendamento),
+ * o evento de agendamento do turno e handoff.requested se o turno escalou.
+ */
+function collectTurnEvents(conversation, before, appointmentEvent) {
+  const events = [];
+  if (before.isNew) events.push({ event: 'lead.created', data: {} });
+
+  const collected = getCollectedFields(conversation);
+  Object.keys(collected).forEach(field => {
+    if (collected[field] !== before.fields[field]) {
+      events.push({
+        event: 'lead.field_collected',
+        data: {
+          field: field,
+          value: collected[field],
+          ...(field === 'revenue' && { label: getRevenueLabel(collected[field]) })
+        }
+      });
+    }
+  });
+
+  if (conversation.stage === SCHEDULING_STAGE && !conversation.metadata.qualifiedAt) {
+    conversation.metadata.qualifiedAt = new Date();
+    events.push({ event: 'lead.qualified', data: {} });
+  }
+
+  if (appointmentEvent) events.push({ event: appointmentEvent, data: {} });
+  if (conversation.handoff?.active && !before.handoffActive) {
+    events.push({ event: 'handoff.requested', data: { reason: conversation.handoff.reason } });
+  }
+  return events;
+}
+
+// ============================================================================
+// CONVERSATION MANAGEMENT
+// ============================================================================
+
+async function findActiveConversation(phoneNumber) {
+  return Conversation.findOne({
+    phoneNumber: phoneNumber,
+    'metadata.isActive': true
+  }).sort({ 'metadata.lastActivity': -1 });
+}
+
+// Conversa mais recente do número, ativa ou encerrada
+async function findLatestConversation(phoneNumber) {
+  return Conversation.findOne({ phoneNumber: phoneNumber }).sort({ createdAt: -1 });
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseListParam(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const CONVERSATION_SORTS = {
+  lastActivity: { 'metadata.lastActivity': -1 },
+  started: { 'metadata.conversationStarted': -1 },
+  score: { 'userData.leadScore': -1, 'metadata.lastActivity': -1 }
+};
+
+/**
+ * Filtro da busca de conversas. q: só dígitos busca pelo início do telefone,
+ * com @ pelo início do email, senão busca textual no nome do contato / lead.
+ * Retorna null se algum parâmetro for inválido.
+ */
+function buildConversationSearch(query) {
+  const filter = {};
+
+  if (query.q) {
+    const q = String(query.q).trim();
+    if (/^\+?[\d\s()-]+$/.test(q)) {
+      filter.phoneNumber = { $regex: `^${q.replace(/\D/g, '')}` };
+    } else if (q.includes('@')) {
+      filter['userData.email'] = { $regex: `^${escapeRegex(q.toLowerCase())}` };
+    } else {
+      filter.$text = { $search: q };
+    }
+  }
+  if (query.stage) filter.stage = { $in: parseListParam(query.stage) };
+  if (query.tag) filter.tags = { $all: parseListParam(query.tag).map(tag => tag.toLowerCase()) };
+  if (query.active !== undefined) filter['metadata.isActive'] = query.active === 'true';
+  if (query.handoff === 'true') filter['handoff.active'] = true;
+  if (query.campaign) filter['attribution.campaign'] = query.campaign === 'organic' ? null : query.campaign;
+
+  if (query.minScore !== undefined || query.maxScore !== undefined) {
+    filter['userData.leadScore'] = {};
+    if (query.minScore !== undefined) filter['userData.leadScore'].$gte = Number(query.minScore);
+    if (query.maxScore !== undefined) filter['userData.leadScore'].$lte = Number(query.maxScore);
+    if (Object.values(filter['userData.leadScore']).some(isNaN)) return null;
+  }
+
+  if (query.from || query.to) {
+    filter['metadata.conversationStarted'] = {};
+    if (query.from) filter['metadata.conversationStarted'].$gte = new Date(query.from);
+    if (query.to) filter['metadata.conversationStarted'].$lte = new Date(query.to);
+    if (Object.values(filter['metadata.conversationStarted']).some(date => isNaN(date.getTime()))) return null;
+  }
+
+  return {
+    filter,
+    sort: CONVERSATION_SORTS[query.sort] || CONVERSATION_SORTS.lastActivity,
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100)
+  };
+}
+
+/**
+ * Executa fn com o lock do telefone (o mesmo da fila de mensagens recebidas),
+ * para alterações externas não concorrerem com um turno em andamento.
+ * Mensagens que chegaram nesse meio tempo são processadas ao final.
+ */
+async function withConversationLock(phoneNumber, fn, attempts = 10) {
+  let owner = null;
+  for (let attempt = 0; attempt < attempts && !owner; attempt++) {
+    owner = await acquireConversationLock(phoneNumber);
+    if (!owner) await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  if (!owner) {
+    const error = new Error(`Conversa ${phoneNumber} ocupada`);
+    error.code = 'CONVERSATION_BUSY';
+    throw error;
+  }
+
+  const stopHeartbeat = startLockHeartbeat(phoneNumber, owner);
+  try {
+    return await fn();
+  } finally {
+    stopHeartbeat();
+    await releaseConversationLock(phoneNumber, owner);
+    if (await InboundMessage.exists({ phoneNumber: phoneNumber, status: 'QUEUED' })) {
+      drainInboundQueue(phoneNumber).catch(error => logger.error('Inbound queue error:', error));
+    }
+  }
+}
+
+// actor: { name, onBehalfOf } de quem pediu a alteração (API key + quem ela representa)
+function recordAudit(conversation, actor, action, details = {}) {
+  if (!conversation.auditLog) conversation.auditLog = [];
+  conversation.auditLog.push({
+    action: action,
+    performedBy: actor.name,
+    onBehalfOf: actor.onBehalfOf,
+    details: details
+  });
+  logger.info(`${action} on ${conversation.phoneNumber} by ${actor.name}` +
+    (actor.onBehalfOf ? ` on behalf of ${actor.onBehalfOf}` : ''));
+}
+
+/**
+ * Atualiza campos de userData com as mesmas validações do fluxo.
+ * Retorna { errors } sem alterar nada se algum campo for inválido.
+ */
+async function updateConversationUserData(conversation, fields, actor) {
+  const flow = await getConversationFlow(conversation);
+  const errors = [];
+  const validated = {};
+
+  Object.keys(fields).forEach(field => {
+    const result = validateFieldValue(field, fields[field], flow);
+    if (!result) {
+      errors.push({ field, error: 'unknown_field' });
+    } else if (!result.valid) {
+      errors.push({ field, error: result.error });
+    } else {
+      validated[field] = result.value;
+    }
+  });
+  if (errors.length > 0) return { errors };
+
+  const before = getCollectedFields(conversation);
+  Object.keys(validated).forEach(field => setFieldValue(conversation, field, validated[field]));
+  applyLeadScore(conversation, await getActiveScoringRules());
+  recordAudit(conversation, actor, 'USER_DATA_UPDATED', { fields: validated });
+  await conversation.save();
+
+  const changed = Object.keys(validated).filter(field => before[field] !== validated[field]);
+  for (const field of changed) {
+    await publishEvent(conversation, 'lead.field_collected', {
+      field: field,
+      value: validated[field],
+      ...(field === 'revenue' && { label: getRevenueLabel(validated[field]) }),
+      changedBy: actor.name
+    });
+  }
+
+  return { errors: [], changed };
+}
+
+function assertStageExists(flow, stage) {
+  if (!flow.definition.stages[stage] && !FINAL_STAGES.includes(stage)) {
+    const error = new Error(`Estágio ${stage} não existe no fluxo ${flow.key}@${flow.version}`);
+    error.code = 'INVALID_STAGE';
+    throw error;
+  }
+}
+
+async function changeConversationStage(conversation, stage, actor) {
+  assertStageExists(await getConversationFlow(conversation), stage);
+
+  const previousStage = conversation.stage;
+  conversation.stage = stage;
+  conversation.metadata.followUps = { count: 0 };
+  recordAudit(conversation, actor, 'STAGE_CHANGED', { from: previousStage, to: stage });
+  await conversation.save();
+  return previousStage;
+}
+
+async function completeConversationAppointment(conversation, actor) {
+  if (!conversation.appointment?.scheduled || conversation.appointment.status === 'CANCELLED') {
+    const error = new Error('Conversa sem reunião agendada');
+    error.code = 'NO_APPOINTMENT';
+    throw error;
+  }
+
+  conversation.appointment.status = 'COMPLETED';
+  conversation.stage = 'COMPLETED';
+  recordAudit(conversation, actor, 'APPOINTMENT_COMPLETED', { scheduledDate: conversation.appointment.scheduledDate });
+  await conversation.save();
+  await publishEvent(conversation, 'appointment.completed', { changedBy: actor.name });
+}
+
+// Falta registrada por uma pessoa: libera o reengajamento de no-show
+async function markAppointmentNoShow(conversation, actor) {
+  const appointment = conversation.appointment || {};
+  if (!appointment.scheduled || !['CONFIRMED', 'PENDING_REVIEW'].includes(appointment.status) ||
+      moment(appointment.scheduledDate).isAfter(moment())) {
+    const error = new Error('Conversa sem reunião passada para marcar falta');
+    error.code = 'NO_APPOINTMENT';
+    throw error;
+  }
+
+  appointment.status = 'NO_SHOW';
+  recordAudit(conversation, actor, 'APPOINTMENT_NO_SHOW', { scheduledDate: appointment.scheduledDate });
+  await conversation.save();
+  await publishEvent(conversation, 'appointment.no_show', { changedBy: actor.name });
+}
+
+/**
+ * Recomeça a coleta do zero: estágio inicial, dados e horários oferecidos limpos.
+ * Recusa se houver reunião marcada (cancele ou conclua antes).
+ */
+async function resetConversation(conversation, actor) {
+  if (conversation.appointment?.scheduled && conversation.appointment.status === 'CONFIRMED') {
+    const error = new Error('Conversa com reunião marcada');
+    error.code = 'APPOINTMENT_SCHEDULED';
+    throw error;
+  }
+
+  const flow = await getConversationFlow(conversation);
+  const previousStage = conversation.stage;
+  const previousData = getCollectedFields(conversation);
+
+  conversation.stage = flow.definition.initialStage;
+  conversation.userData = {};
+  conversation.offeredSlots = { slots: [] };
+  conversation.metadata.validationFailures = 0;
+  conversation.metadata.followUps = { count: 0 };
+  conversation.metadata.qualifiedAt = null;
+  applyLeadScore(conversation, await getActiveScoringRules());
+  recordAudit(conversation, actor, 'CONVERSATION_RESET', { from: previousStage, userData: previousData });
+  await conversation.save();
+  return previousStage;
+}
+
+async function closeConversationManually(conversation, actor, reason = null) {
+  conversation.metadata.isActive = false;
+  conversation.metadata.closedAt = new Date();
+  conversation.metadata.closedReason = 'MANUAL';
+  recordAudit(conversation, actor, 'CONVERSATION_CLOSED', reason ? { reason } : {});
+  await conversation.save();
+}
+
+/**
+ * Reativa a conversa mais recente do número. Sem estágio informado, volta ao
+ * último estágio antes do abandono.
+ */
+async function reopenConversation(conversation, actor, stage = null) {
+  if (conversation.metadata.isActive) {
+    const error = new Error('Conversa já está ativa');
+    error.code = 'ALREADY_ACTIVE';
+    throw error;
+  }
+
+  const previousStage = conversation.stage;
+  if (!stage && previousStage === 'ABANDONED') {
+    stage = [...(conversation.stageHistory || [])].reverse()
+      .map(entry => entry.stage)
+      .find(name => name !== 'ABANDONED');
+  }
+  if (stage) {
+    assertStageExists(await getConversationFlow(conversation), stage);
+    conversation.stage = stage;
+  }
+
+  conversation.metadata.isActive = true;
+  conversation.metadata.closedAt = null;
+  conversation.metadata.closedReason = null;
+  conversation.metadata.lastActivity = new Date();
+  conversation.metadata.followUps = { count: 0 };
+  recordAudit(conversation, actor, 'CONVERSATION_REOPENED', { from: previousStage, to: conversation.stage });
+  await conversation.save();
+}
+
+async function updateConversationTags(conversation, { add = [], remove = [] }, actor) {
+  const normalize = tags => tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+  const removed = normalize(remove);
+  const tags = new Set((conversation.tags || []).filter(tag => !removed.includes(tag)));
+  normalize(add).forEach(tag => tags.add(tag));
+
+  conversation.tags = [...tags];
+  recordAudit(conversation, actor, 'TAGS_UPDATED', { add: normalize(add), remove: removed });
+  await conversation.save();
+}
+
+// Com o bot pausado as mensagens do lead são registradas, mas sem resposta automática
+async function setBotPaused(conversation, paused, actor, reason = null) {
+  if (!paused) clearHandoff(conversation, actor);
+  conversation.metadata.botPaused = paused;
+  conversation.metadata.pausedAt = paused ? new Date() : null;
+  conversation.metadata.pausedBy = paused ? actor.name : null;
+  conversation.metadata.pauseReason = paused ? reason : null;
+  recordAudit(conversation, actor, paused ? 'BOT_PAUSED' : 'BOT_RESUMED', reason ? { reason } : {});
+  await conversation.save();
+}
+
+/**
+ * Mensagem enviada por uma pessoa/automação em nome do SDR: texto dentro da
+ * janela de 24h, senão um template ({ name, language, headerParams, bodyParams }).
+ */
+async function sendManualMessage(conversation, { text, template }, actor) {
+  assertNotOptedOut(conversation);
+  let payload;
+  if (template) {
+    payload = buildTemplatePayload(template);
+  } else if (isWithinSessionWindow(conversation)) {
+    payload = text;
+  } else {
+    const error = new Error('Lead fora da janela de 24h: envie um template');
+    error.code = 'TEMPLATE_REQUIRED';
+    throw error;
+  }
+
+  const content = text || `[template ${template.name}]`;
+  recordAudit(conversation, actor, 'MESSAGE_SENT', template ? { template: template.name } : {});
+  return sendAndRecordMessage(conversation, content, payload, {
+    sentBy: actor.onBehalfOf || actor.name,
+    ...(template && { template: template.name })
+  });
+}
+
+// ============================================================================
+// HUMAN HANDOFF
+// ============================================================================
+
+// Pedido explícito por uma pessoa (texto normalizado, sem acentos)
+const HANDOFF_REQUEST_PATTERN = /\b(falar|conversar|atendimento) (com )?(um |uma |algum |alguma )?(humano|humana|pessoa|atendente|vendedor|vendedora|consultor|consultora|gente de verdade)\b|\b(atendente|atendimento humano|pessoa de verdade|voce e um robo|voce e robo|nao quero falar com robo)\b/;
+
+// Reforço para a análise de sentimento da IA
+const ANGRY_PATTERN = /\b(absurdo|ridiculo|palhacada|vergonha|pessimo|horrivel|nao aguento|para de me mandar|chega de mensagem|lixo|porcaria)\b/;
+
+function getHandoffConfig() {
+  const minConfidence = parseFloat(process.env.HANDOFF_MIN_CONFIDENCE);
+  return {
+    enabled: process.env.HANDOFF_ENABLED !== 'false',
+    // 0 desativa o gatilho de confiança baixa
+    minConfidence: Number.isFinite(minConfidence) ? minConfidence : 0.3,
+    maxValidationFailures: parseInt(process.env.HANDOFF_MAX_VALIDATION_FAILURES, 10) || 3,
+    maxAIFailures: parseInt(process.env.HANDOFF_MAX_AI_FAILURES, 10) || 3,
+    message: process.env.HANDOFF_MESSAGE ||
+      'Vou chamar uma pessoa do nosso time para continuar a conversa com você. Já já alguém te responde por aqui! 🙋'
+  };
+}
+
+function detectHandoffRequest(messageText) {
+  return getHandoffConfig().enabled && HANDOFF_REQUEST_PATTERN.test(normalizeText(messageText));
+}
+
+/**
+ * Gatilhos automáticos avaliados após o turno da IA. Retorna o motivo ou null.
+ * Resultado de fallback (IA fora do ar) não conta como confiança baixa, mas
+ * fallbacks seguidos chamam uma pessoa.
+ */
+function getEscalationReason(conversation, aiResult, messageText) {
+  const config = getHandoffConfig();
+  if (!config.enabled) return null;
+
+  if (aiResult.sentiment === 'angry' || ANGRY_PATTERN.test(normalizeText(messageText))) return 'ANGRY_SENTIMENT';
+  if (aiResult.intent !== 'fallback' && aiResult.confidence < config.minConfidence) return 'LOW_CONFIDENCE';
+  if ((conversation.metadata.validationFailures || 0) >= config.maxValidationFailures) return 'VALIDATION_FAILURES';
+  if ((conversation.metadata.consecutiveAIFailures || 0) >= config.maxAIFailures) return 'AI_UNAVAILABLE';
+  return null;
+}
+
+// Pausa o bot e marca a conversa como em atendimento humano (sem salvar)
+function startHandoff(conversation, reason, actor, agent = null) {
+  conversation.handoff = {
+    active: true,
+    reason: reason,
+    requestedAt: new Date(),
+    assignedAgent: agent,
+    assignedAt: agent ? new Date() : null
+  };
+  conversation.metadata.botPaused = true;
+  conversation.metadata.pausedAt = new Date();
+  conversation.metadata.pausedBy = actor.name;
+  conversation.metadata.pauseReason = `handoff:${reason}`;
+  recordAudit(conversation, actor, 'HANDOFF_STARTED', { reason, ...(agent && { agent }) });
+}
+
+function assignHandoffAgent(conversation, agent, actor) {
+  if (!conversation.handoff?.active) {
+    startHandoff(conversation, 'MANUAL', actor, agent);
+    return;
+  }
+  if (conversation.handoff.assignedAgent === agent) return;
+
+  conversation.handoff.assignedAgent = agent;
+  conversation.handoff.assignedAt = new Date();
+  recordAudit(conversation, actor, 'HANDOFF_ASSIGNED', { agent });
+}
+
+function clearHandoff(conversation, actor) {
+  if (!conversation.handoff?.active) return;
+
+  conversation.handoff.active = false;
+  conversation.handoff.resolvedAt = new Date();
+  conversation.handoff.resolvedBy = actor.onBehalfOf || actor.name;
+  conversation.metadata.validationFailures = 0;
+}
+
+/**
+ * Mensagem de um agente: assume a conversa (pausando o bot) se ainda não
+ * estiver com ele, e registra a saída com a identidade do agente.
+ */
+async function sendAgentMessage(conversation, message, agent, actor) {
+  assertNotOptedOut(conversation);
+  const startedNow = !conversation.handoff?.active;
+  assignHandoffAgent(conversation, agent, actor);
+  if (startedNow) {
+    await conversation.save();
+    await publishEvent(conversation, 'handoff.requested', { reason: 'MANUAL', agent });
+  }
+  return sendManualMessage(conversation, message, { name: actor.name, onBehalfOf: agent });
+}
+
+/**
+ * Devolve a conversa ao bot no estágio escolhido (padrão: o atual). Com
+ * resume, o bot retoma mandando a pergunta do estágio.
+ */
+async function handBackToBot(conversation, stage, actor, resume = false) {
+  const flow = await getConversationFlow(conversation);
+  const targetStage = stage || conversation.stage;
+  assertStageExists(flow, targetStage);
+
+  const previousStage = conversation.stage;
+  clearHandoff(conversation, actor);
+  conversation.stage = targetStage;
+  conversation.metadata.botPaused = false;
+  conversation.metadata.pausedAt = null;
+  conversation.metadata.pausedBy = null;
+  conversation.metadata.pauseReason = null;
+  conversation.metadata.followUps = { count: 0 };
+  recordAudit(conversation, actor, 'HANDOFF_ENDED', { from: previousStage, to: targetStage });
+  await conversation.save();
+  await publishEvent(conversation, 'handoff.resolved', { stage: targetStage, resolvedBy: actor.onBehalfOf || actor.name });
+
+  const question = getFlowStage(flow, targetStage).question;
+  if (resume && question) {
+    await sendAndRecordMessage(conversation, question);
+  }
+}
+
+// ============================================================================
+// LGPD (CONSENT / OPT-OUT / RETENTION / ERASURE)
+// ============================================================================
+
+// Mensagem inteira pedindo para parar / voltar a receber (texto normalizado, sem acentos)
+const OPT_OUT_PATTERN = /^(parar|pare|sair|stop|descadastrar|nao quero (mais )?receber( mensagens)?)[.!]*$/;
+const OPT_IN_PATTERN = /^(voltar|quero voltar)[.!]*$/;
+
+const OPT_OUT_CONFIRMATION = 'Tudo certo, você não vai mais receber nossas mensagens. ' +
+  'Se mudar de ideia, é só enviar *VOLTAR*.';
+
+const ANONYMIZED_CONTENT = '[removida pela política de retenção]';
+
+/**
+ * PRIVACY_NOTICE: aviso anexado à primeira resposta do bot em cada conversa
+ * (vazio desativa); ANALYTICS_RETENTION_DAYS: idade a partir da qual o
+ * conteúdo das mensagens é apagado (sem valor, nada é apagado).
+ */
+function getPrivacyConfig() {
+  return {
+    notice: process.env.PRIVACY_NOTICE !== undefined
+      ? process.env.PRIVACY_NOTICE
+      : 'Usamos seus dados só para este atendimento, conforme a LGPD. Para não receber mais mensagens, envie PARAR.',
+    retentionDays: parseInt(process.env.ANALYTICS_RETENTION_DAYS, 10) || 0
+  };
+}
+
+// Identificador do número sem o número (HMAC com PRIVACY_HASH_SECRET), para eventos e tombstones.
+// Sem o segredo o hash seria revertido por força bruta (poucos números possíveis), então não há fallback.
+function pseudonymizePhone(phoneNumber) {
+  if (!process.env.PRIVACY_HASH_SECRET) {
+    const error = new Error('PRIVACY_HASH_SECRET não configurada');
+    error.code = 'PRIVACY_NOT_CONFIGURED';
+    throw error;
+  }
+  return crypto.createHmac('sha256', process.env.PRIVACY_HASH_SECRET).update(phoneNumber).digest('hex');
+}
+
+function isOptOutRequest(messageText) {
+  return OPT_OUT_PATTERN.test(normalizeText(messageText));
+}
+
+function isOptInRequest(messageText) {
+  return OPT_IN_PATTERN.test(normalizeText(messageText));
+}
+
+function isOptedOut(conversation) {
+  return conversation.consent?.status === 'REVOKED';
+}
+
+function assertNotOptedOut(conversation) {
+  if (!isOptedOut(conversation)) return;
+  const error = new Error(`Lead ${conversation.phoneNumber} pediu para não receber mensagens`);
+  error.code = 'OPTED_OUT';
+  throw error;
+}
+
+// O consentimento vale o da conversa mais recente do número
+async function isPhoneOptedOut(phoneNumber) {
+  const latest = await Conversation.findOne({ phoneNumber: phoneNumber })
+    .sort({ createdAt: -1 })
+    .select('consent.status');
+  return Boolean(latest && isOptedOut(latest));
+}
+
+function recordConsent(conversation, status, source) {
+  const now = new Date();
+  conversation.consent.status = status;
+  conversation.consent.source = source;
+  if (status === 'GRANTED') {
+    conversation.consent.grantedAt = now;
+  } else {
+    conversation.consent.revokedAt = now;
+  }
+  conversation.consent.history.push({ status: status, source: source, at: now });
+}
+
+// Aviso de privacidade na primeira resposta do bot
+function withPrivacyNotice(conversation, response) {
+  const { notice } = getPrivacyConfig();
+  if (!response || !notice || conversation.consent?.noticeSentAt) return response;
+
+  conversation.consent.noticeSentAt = new Date();
+  return `${response}\n\n${notice}`;
+}
+
+// Envios ainda na fila para o número viram dead-letter (a entrada no histórico fica FAILED)
+async function cancelPendingMessages(phoneNumber, before) {
+  const pending = await OutboxMessage.find({
+    channel: 'WHATSAPP',
+    phoneNumber: phoneNumber,
+    status: 'PENDING',
+    createdAt: { $lt: before }
+  });
+
+  for (const item of pending) {
+    const error = { code: 'OPTED_OUT', message: 'Lead pediu para não receber mensagens' };
+    const result = await OutboxMessage.updateOne(
+      { _id: item._id, status: 'PENDING' },
+      { $set: { status: 'DEAD', deadAt: new Date(), lastError: error } }
+    );
+    if (result.modifiedCount > 0) await markOutboxMessageDead(item, error);
+  }
+  return pending.length;
+}
+
+/**
+ * Opt-out (PARAR / SAIR ou botão da campanha): confirma ao lead, revoga o
+ * consentimento e cancela o que ainda iria para ele. Lembretes, follow-ups e
+ * campanhas ignoram números com consentimento revogado, e sendAndRecordMessage
+ * recusa qualquer envio. Reunião futura continua marcada (o convite tem o
+ * cancelamento); sem ela a conversa é encerrada.
+ */
+async function optOutConversation(conversation, source) {
+  const requestedAt = new Date();
+  try {
+    await sendAndRecordMessage(conversation, OPT_OUT_CONFIRMATION);
+  } catch (error) {
+    logger.warn(`Opt-out confirmation to ${conversation.phoneNumber} failed: ${error.message}`);
+  }
+
+  recordConsent(conversation, 'REVOKED', source);
+  if (!hasUpcomingAppointment(conversation)) {
+    conversation.metadata.isActive = false;
+    conversation.metadata.closedAt = new Date();
+    conversation.metadata.closedReason = 'OPTED_OUT';
+  }
+  conversation.metadata.lastActivity = new Date();
+  await conversation.save();
+
+  const cancelled = await cancelPendingMessages(conversation.phoneNumber, requestedAt);
+  const campaignKey = conversation.attribution?.source === 'campaign' ? conversation.attribution.campaign : null;
+  if (campaignKey) {
+    await CampaignContact.updateOne(
+      { campaignKey: campaignKey, phoneNumber: conversation.phoneNumber },
+      { $set: { status: 'OPTED_OUT', optedOutAt: requestedAt } }
+    );
+  }
+
+  await publishEvent(conversation, 'lead.opted_out', { source: source, campaign: campaignKey });
+  logger.info(`${conversation.phoneNumber} opted out (${source}), ${cancelled} pending message(s) cancelled`);
+}
+
+// Lead que saiu pediu para voltar: consentimento renovado e o fluxo segue do estágio atual
+async function optInConversation(conversation, flow) {
+  recordConsent(conversation, 'GRANTED', 'KEYWORD');
+  conversation.metadata.followUps = { count: 0 };
+  conversation.metadata.lastActivity = new Date();
+  await conversation.save();
+
+  const question = getFlowStage(flow, conversation.stage).question;
+  await sendAndRecordMessage(conversation, 'Que bom ter você de volta! 😊' + (question ? `\n\n${question}` : ''));
+  await publishEvent(conversation, 'lead.opted_in', { source: 'KEYWORD' });
+  logger.info(`${conversation.phoneNumber} opted back in`);
+}
+
+/**
+ * Apaga o conteúdo das mensagens mais antigas que ANALYTICS_RETENTION_DAYS
+ * (direção, horário e status ficam para as métricas), os detalhes do audit
+ * log do mesmo período (resets e edições guardam o userData anterior), os
+ * dados pessoais das conversas paradas há mais tempo que isso (faixa e score
+ * ficam) e os itens concluídos do outbox, que guardam o texto enviado.
+ */
+async function applyRetentionPolicy() {
+  const { retentionDays } = getPrivacyConfig();
+  if (!retentionDays) return null;
+
+  const cutoff = moment().subtract(retentionDays, 'days').toDate();
+  const conversations = await Conversation.updateMany(
+    { messages: { $elemMatch: { timestamp: { $lt: cutoff }, anonymized: { $ne: true } } } },
+    { $set: { 'messages.$[old].content': ANONYMIZED_CONTENT, 'messages.$[old].anonymized': true } },
+    { arrayFilters: [{ 'old.timestamp': { $lt: cutoff }, 'old.anonymized': { $ne: true } }] }
+  );
+  const auditLogs = await Conversation.updateMany(
+    { auditLog: { $elemMatch: { at: { $lt: cutoff }, details: { $exists: true } } } },
+    { $unset: { 'auditLog.$[old].details': 1 } },
+    { arrayFilters: [{ 'old.at': { $lt: cutoff }, 'old.details': { $exists: true } }] }
+  );
+  const userData = await Conversation.updateMany(
+    { 'metadata.lastActivity': { $lt: cutoff }, 'metadata.anonymizedAt': { $exists: false } },
+    {
+      $unset: {
+        contactName: 1,
+        'userData.name': 1,
+        'userData.function': 1,
+        'userData.email': 1,
+        'userData.extra': 1,
+        'userData.scoreBreakdown.$[].value': 1
+      },
+      $set: { 'metadata.anonymizedAt': new Date() }
+    }
+  );
+  const outbox = await OutboxMessage.deleteMany({ status: { $in: ['SENT', 'DEAD'] }, updatedAt: { $lt: cutoff } });
+
+  logger.info(`Retention (${retentionDays} days): messages anonymized in ${conversations.modifiedCount} conversation(s), ` +
+    `audit details in ${auditLogs.modifiedCount}, personal data in ${userData.modifiedCount}, ${outbox.deletedCount} outbox item(s) deleted`);
+  return {
+    conversations: conversations.modifiedCount,
+    auditLogs: auditLogs.modifiedCount,
+    userData: userData.modifiedCount,
+    outboxDeleted: outbox.deletedCount
+  };
+}
+
+// Tudo que o sistema guarda sobre o número (pedido de acesso do titular)
+async function exportPhoneData(phoneNumber) {
+  const [conversations, inboundMessages, outboxMessages, campaignContacts] = await Promise.all([
+    Conversation.find({ phoneNumber: phoneNumber }).sort({ createdAt: 1 }).select('-__v').lean(),
+    InboundMessage.find({ phoneNumber: phoneNumber }).select('-__v').lean(),
+    OutboxMessage.find({ phoneNumber: phoneNumber }).select('-__v').lean(),
+    CampaignContact.find({ phoneNumber: phoneNumber }).select('-__v').lean()
+  ]);
+
+  return {
+    phoneNumber: phoneNumber,
+    exportedAt: new Date(),
+    conversations: conversations,
+    inboundMessages: inboundMessages,
+    outboxMessages: outboxMessages,
+    campaignContacts: campaignContacts
+  };
+}
+
+/**
+ * Direito de eliminação: cancela reuniões futuras (o convite leva o email do
+ * lead), apaga conversas, fila, outbox e contatos de campanha do número e
+ * publica lead.erased (só com o hash do número) para o n8n apagar no CRM.
+ * Retorna null se não havia nada. Backups já gerados só saem pela rotação
+ * (BACKUP_KEEP), mas o tombstone impede que a restauração traga o número de volta.
+ */
+async function erasePhoneData(phoneNumber, actor) {
+  // Antes de apagar qualquer coisa: sem o segredo não há tombstone nem evento
+  const phoneHash = pseudonymizePhone(phoneNumber);
+
+  return withConversationLock(phoneNumber, async () => {
+    const filter = { phoneNumber: phoneNumber };
+    const conversations = await Conversation.find(filter).select('_id appointment');
+    if (conversations.length === 0 && !(await CampaignContact.exists(filter))) return null;
+
+    for (const conversation of conversations) {
+      if (hasUpcomingAppointment(conversation) && conversation.appointment.eventId) {
+        await cancelGoogleCalendarEvent(conversation.appointment.eventId);
+      }
+    }
+
+    const requestedBy = actor.onBehalfOf || actor.name;
+    await ErasureTombstone.updateOne(
+      { phoneHash: phoneHash },
+      { $set: { erasedAt: new Date(), requestedBy: requestedBy } },
+      { upsert: true }
+    );
+
+    const [erasedConversations, inbound, outbox, contacts] = await Promise.all([
+      Conversation.deleteMany(filter),
+      InboundMessage.deleteMany(filter),
+      OutboxMessage.deleteMany(filter),
+      CampaignContact.deleteMany(filter)
+    ]);
+    const erased = {
+      conversations: erasedConversations.deletedCount,
+      inboundMessages: inbound.deletedCount,
+      outboxMessages: outbox.deletedCount,
+      campaignContacts: contacts.deletedCount
+    };
+
+    // Sem o telefone: o CRM localiza o lead pelo hash (mesmo segredo) ou pelos ids das conversas
+    await publishEvent({}, 'lead.erased', {
+      phoneHash: phoneHash,
+      conversationIds: conversations.map(conversation => conversation._id),
+      requestedBy: requestedBy
+    });
+    logger.warn(`Personal data for lead ${phoneHash.slice(0, 12)} erased by ${actor.name}: ${JSON.stringify(erased)}`);
+    return erased;
+  });
+}
+
+// ============================================================================
+// CORE MESSAGE PROCESSING
+// ============================================================================
+
+// Referral do WhatsApp (lead que chegou por anúncio click-to-WhatsApp)
+function getReferralAttribution(referral) {
+  if (!referral) return undefined;
+  return {
+    campaign: referral.source_id,
+    source: referral.source_type ? `whatsapp_${referral.source_type}` : 'whatsapp_ad',
+    sourceUrl: referral.source_url,
+    headline: referral.headline,
+    clickId: referral.ctwa_clid
+  };
+}
+
+/**
+ * Retoma a conversa ativa do número ou inicia uma nova.
+ * Conversa ativa sem interação há AUTO_CLEANUP_DAYS (e sem reunião futura) é encerrada
+ * e o lead recomeça do estágio inicial, com referência à conversa anterior.
+ * Conversas novas usam a versão ativa do fluxo (options.flowKey ou DEFAULT_FLOW_KEY),
+ * guardam a origem do lead (options.referral) e o consentimento (herdam o opt-out).
+ */
+async function findOrStartConversation(phoneNumber, contactName, options = {}) {
+  const conversation = await Conversation.findOne({
+    phoneNumber: phoneNumber,
+    'metadata.isActive': true
+  }).sort({ 'metadata.lastActivity': -1 });
+
+  if (conversation && !isConversationStale(conversation)) {
+    conversation.metadata.followUps = { count: 0 };
+    return conversation;
+  }
+
+  if (conversation) {
+    closeConversation(conversation, await getConversationFlow(conversation));
+    await conversation.save();
+    logger.info(`Stale conversation for ${phoneNumber} closed as ${conversation.metadata.closedReason}`);
+
+    if (conversation.stage === 'ABANDONED') {
+      await publishEvent(conversation, 'lead.abandoned', { reason: conversation.metadata.closedReason });
+    }
+  }
+
+  const previous = conversation || await Conversation.findOne({ phoneNumber: phoneNumber })
+    .sort({ createdAt: -1 })
+    .select('_id metadata.closedReason consent.status');
+
+  // Lead importado que ainda não conversou: a primeira mensagem ativa o registro
+  if (previous?.metadata?.closedReason === 'IMPORTED') {
+    const imported = await Conversation.findById(previous._id);
+    Object.assign(imported.metadata, {
+      isActive: true,
+      closedReason: null,
+      conversationStarted: new Date(),
+      lastActivity: new Date()
+    });
+    if (contactName) imported.contactName = contactName;
+    if (!imported.attribution?.campaign && options.referral) imported.attribution = getReferralAttribution(options.referral);
+    if (!isOptedOut(imported)) recordConsent(imported, 'GRANTED', 'INBOUND_MESSAGE');
+    return imported;
+  }
+
+  const flow = await getActiveFlow(options.flowKey || process.env.DEFAULT_FLOW_KEY || DEFAULT_FLOW.key);
+
+  const started = new Conversation({
+    phoneNumber: phoneNumber,
+    contactName: contactName,
+    stage: flow.definition.initialStage,
+    flow: { key: flow.key, version: flow.version },
+    userData: {},
+    appointment: { scheduled: false, status: 'PENDING' },
+    messages: [],
+    attribution: getReferralAttribution(options.referral),
+    metadata: {
+      conversationStarted: new Date(),
+      lastActivity: new Date(),
+      isActive: true,
+      previousConversationId: previous?._id
+    }
+  });
+  // Opt-out vale para o número: conversa nova herda a revogação até o lead enviar VOLTAR
+  if (previous && isOptedOut(previous)) {
+    recordConsent(started, 'REVOKED', 'INHERITED');
+  } else {
+    recordConsent(started, 'GRANTED', 'INBOUND_MESSAGE');
+  }
+  return started;
+}
+
+// Turno normal da conversa: IA + coleta de dados + oferta/seleção de horários
+async function processConversationTurn(messageText, conversation, flow) {
+  // Processa com IA
+  const aiResult = await processMessageWithAI(messageText, conversation, flow);
+  const aiFailed = aiResult.intent === 'fallback';
+  conversation.metadata.aiTurns = (conversation.metadata.aiTurns || 0) + 1;
+  if (aiFailed) {
+    conversation.metadata.aiFailures = (conversation.metadata.aiFailures || 0) + 1;
+    conversation.metadata.consecutiveAIFailures = (conversation.metadata.consecutiveAIFailures || 0) + 1;
+  } else {
+    conversation.metadata.consecutiveAIFailures = 0;
+  }
+
+  // Valida e atualiza dados extraídos
+  const validationError = applyExtractedData(conversation, aiResult.extracted_data, messageText, flow);
+
+  let finalResponse = aiResult.response;
+  let appointmentEvent = null;
+
+  // Atualiza estágio, só avançando com o campo do estágio válido; o destino
+  // vem das transições do fluxo (condições sobre os dados já coletados)
+  const previousStage = conversation.stage;
+  const stageDef = getFlowStage(flow, previousStage);
+  // Sem IA, o campo do estágio validado direto da mensagem já basta para seguir o fluxo
+  const nextStage = aiFailed && stageDef.field && !validationError && getFieldValue(conversation, stageDef.field)
+    ? resolveNextStage(flow, previousStage, conversation)
+    : aiResult.next_stage;
+  if (nextStage && nextStage !== previousStage) {
+    if (stageDef.field && !getFieldValue(conversation, stageDef.field)) {
+      finalResponse = getReaskMessage(stageDef, validationError || stageDef.field);
+    } else {
+      conversation.stage = resolveNextStage(flow, previousStage, conversation);
+      if (aiFailed) {
+        const question = getFlowStage(flow, conversation.stage).question;
+        finalResponse = question ? `Anotado! ${question}` : 'Anotado!';
+      }
+    }
+  } else if (validationError) {
+    finalResponse = getReaskMessage(stageDef, validationError);
+  }
+
+  // Respostas inválidas seguidas no mesmo estágio
+  if (conversation.stage !== previousStage) {
+    conversation.metadata.validationFailures = 0;
+  } else if (validationError) {
+    conversation.metadata.validationFailures = (conversation.metadata.validationFailures || 0) + 1;
+  }
+
+  // Lógica de agendamento
+  const inSchedulingStage = previousStage === SCHEDULING_STAGE || conversation.stage === SCHEDULING_STAGE;
+  const slotResolution = inSchedulingStage && conversation.offeredSlots?.offeredAt
+    ? await resolveSlotSelection(messageText, conversation)
+    : { status: 'NO_MATCH' };
+
+  if (slotResolution.status === 'MATCHED') {
+    const booking = await bookSelectedSlot(conversation, slotResolution.slot);
+    finalResponse = booking.response;
+    appointmentEvent = booking.event;
+  } else if (slotResolution.status === 'PROPOSED') {
+    finalResponse = 'Tenho essas opções que combinam com o que você pediu:' +
+      storeOfferedSlots(conversation, slotResolution.slots);
+  } else if (slotResolution.status === 'EXPIRED' || (inSchedulingStage && (aiResult.needs_calendar_slots || !conversation.offeredSlots?.offeredAt))) {
+    const availableSlots = await getAvailableSlots(7, { excludePhoneNumber: conversation.phoneNumber });
+
+    if (availableSlots.length > 0) {
+      if (slotResolution.status === 'EXPIRED') {
+        finalResponse = 'Os horários que te passei já não valem mais, seguem as opções atualizadas:';
+      }
+      finalResponse += storeOfferedSlots(conversation, availableSlots);
+    }
+  }
+
+  // Só confirma o estágio de agendamento com reunião realmente marcada
+  if (conversation.stage === SCHEDULED_STAGE &&
+      (!conversation.appointment?.scheduled || conversation.appointment.rescheduling)) {
+    conversation.stage = SCHEDULING_STAGE;
+  }
+
+  return {
+    response: finalResponse,
+    event: appointmentEvent,
+    escalation: appointmentEvent ? null : getEscalationReason(conversation, aiResult, messageText)
+  };
+}
+
+// options.parts: mensagens agrupadas pelo debounce ({ content, messageId, timestamp }),
+// registradas uma a uma no histórico; messageText traz o texto já unido.
+// options.referral: origem do anúncio, usada só ao iniciar conversa
+async function processIncomingMessage(phoneNumber, messageText, messageId, contactName = '', options = {}) {
+  try {
+    const conversation = await findOrStartConversation(phoneNumber, contactName, { referral: options.referral });
+    const flow = await getConversationFlow(conversation);
+    const turnStartedAt = new Date();
+    const before = {
+      // Registro importado sem mensagens também conta como lead novo
+      isNew: conversation.isNew || conversation.messages.length === 0,
+      fields: getCollectedFields(conversation),
+      handoffActive: Boolean(conversation.handoff?.active)
+    };
+
+    // Adiciona mensagem recebida
+    const parts = options.parts || [{ content: messageText, messageId: messageId }];
+    parts.forEach(part => {
+      conversation.messages.push({
+        timestamp: part.timestamp || new Date(),
+        direction: 'INCOMING',
+        content: part.content,
+        messageId: part.messageId
+      });
+    });
+
+    // LGPD: PARAR / SAIR encerra os envios; depois disso só VOLTAR reativa o bot
+    if (isOptedOut(conversation)) {
+      if (isOptInRequest(messageText)) {
+        await optInConversation(conversation, flow);
+        return { success: true, stage: conversation.stage, optedIn: true };
+      }
+      conversation.metadata.lastActivity = new Date();
+      await conversation.save();
+      return { success: true, stage: conversation.stage, optedOut: true };
+    }
+    if (isOptOutRequest(messageText)) {
+      await optOutConversation(conversation, 'KEYWORD');
+      return { success: true, stage: conversation.stage, optedOut: true };
+    }
+
+    // Bot pausado: só registra e avisa quem está atendendo
+    if (conversation.metadata.botPaused) {
+      conversation.metadata.lastActivity = new Date();
+      await conversation.save();
+      await publishEvent(conversation, 'message.received', { content: messageText, messageId: messageId });
+      return { success: true, stage: conversation.stage, botPaused: true };
+    }
+
+    // Pedido de humano, remarcação / cancelamento de reunião já marcada, senão segue o fluxo com IA
+    const appointmentIntent = detectAppointmentIntent(messageText, conversation);
+    let turn;
+    if (detectHandoffRequest(messageText)) {
+      turn = { response: null, event: null, escalation: 'LEAD_REQUEST' };
+    } else if (appointmentIntent) {
+      turn = await handleAppointmentChange(conversation, appointmentIntent);
+    } else {
+      turn = await processConversationTurn(messageText, conversation, flow);
+    }
+
+    // Escalonamento: avisa o lead e pausa o bot até um agente devolver a conversa
+    if (turn.escalation) {
+      startHandoff(conversation, turn.escalation, { name: 'bot' });
+      turn.response = getHandoffConfig().message;
+    }
+    const finalResponse = withPrivacyNotice(conversation, turn.response);
+
+    // Calcula lead score
+    applyLeadScore(conversation, await getActiveScoringRules());
+    const events = collectTurnEvents(conversation, before, turn.event);
+
+    conversation.metadata.lastActivity = new Date();
+    await conversation.save();
+
+    // Envia e registra a resposta (lista/botões quando fizer sentido)
+    await sendAndRecordMessage(conversation, finalResponse,
+      buildInteractiveReply(conversation, finalResponse, turnStartedAt, flow) || finalResponse);
+
+    // Integração N8N: só os eventos do turno
+    if (events.length > 0) {
+      try {
+        let allDelivered = true;
+        for (const item of events) {
+          const result = await publishEvent(conversation, item.event, item.data);
+          allDelivered = allDelivered && result.success;
+        }
+        conversation.n8nData = {
+          sent: allDelivered,
+          lastSent: new Date()
+        };
+        await conversation.save();
+      } catch (n8nError) {
+        logger.error('N8N integration failed:', n8nError.message);
+      }
+    }
+
+    return {
+      success: true,
+      stage: conversation.stage,
+      appointmentScheduled: conversation.appointment?.scheduled || false
+    };
+
+  } catch (error) {
+    logger.error('Message processing error:', error);
+
+    // Se o que falhou foi a própria entrega, outra mensagem também não chegaria
+    if (error.outboxStatus !== 'DEAD') {
+      try {
+        const conversation = await findLatestConversation(phoneNumber);
+        if (conversation && !isOptedOut(conversation)) {
+          await sendAndRecordMessage(conversation, 'Desculpe, tive um problema técnico. Pode tentar novamente?');
+        }
+      } catch (sendError) {
+        logger.error('Failed to send error message:', sendError.message);
+      }
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Mensagens que não viram texto (imagem, figurinha, localização, áudio sem
+ * transcrição...): registra e responde educadamente repetindo a pergunta do estágio.
+ */
+async function handleUnsupportedMessage(phoneNumber, messageType, messageId, contactName = '') {
+  try {
+    const conversation = await findOrStartConversation(phoneNumber, contactName);
+    const flow = await getConversationFlow(conversation);
+    const question = getFlowStage(flow, conversation.stage).question;
+    const response = `${UNSUPPORTED_MESSAGE_REPLIES[messageType] || UNSUPPORTED_MESSAGE_REPLIES.default}\n\n` +
+      (question || 'Pode me mandar por escrito?');
+
+    conversation.messages.push({
+      timestamp: new Date(),
+      direction: 'INCOMING',
+      content: `[${messageType}]`,
+      messageId: messageId
+    });
+
+    if (isOptedOut(conversation)) {
+      conversation.metadata.lastActivity = new Date();
+      await conversation.save();
+      return { success: true, stage: conversation.stage, optedOut: true };
+    }
+    if (conversation.metadata.botPaused) {
+      conversation.metadata.lastActivity = new Date();
+      await conversation.save();
+      await publishEvent(conversation, 'message.received', { content: `[${messageType}]`, messageId: messageId });
+      return { success: true, stage: conversation.stage, botPaused: true };
+    }
+    conversation.metadata.lastActivity = new Date();
+    await conversation.save();
+
+    await sendAndRecordMessage(conversation, response);
+    return { success: true, stage: conversation.stage };
+
+  } catch (error) {
+    logger.error('Unsupported message handling error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// INBOUND QUEUE
+// ============================================================================
+
+function getInboundQueueConfig() {
+  return {
+    // Janela para juntar mensagens em sequência num único turno (0 = desativado)
+    debounceMs: parseInt(process.env.WEBHOOK_DEBOUNCE_MS, 10) || 0,
+    lockTtlMs: (parseInt(process.env.CONVERSATION_LOCK_TTL_SECONDS, 10) || 120) * 1000
+  };
+}
+
+/**
+ * Lock por telefone no Mongo: vale entre instâncias (pm2 cluster) e entre
+ * drenagens concorrentes no mesmo processo. Expira sozinho se o dono cair.
+ * Retorna o token do dono ou null se outro já está processando.
+ */
+async function acquireConversationLock(phoneNumber) {
+  const owner = uuidv4();
+  const now = new Date();
+
+  try {
+    await ConversationLock.findOneAndUpdate(
+      { _id: phoneNumber, expiresAt: { $lte: now } },
+      { $set: { owner: owner, expiresAt: new Date(now.getTime() + getInboundQueueConfig().lockTtlMs) } },
+      { upsert: true }
+    );
+    return owner;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+async function renewConversationLock(phoneNumber, owner) {
+  const result = await ConversationLock.updateOne(
+    { _id: phoneNumber, owner: owner },
+    { $set: { expiresAt: new Date(Date.now() + getInboundQueueConfig().lockTtlMs) } }
+  );
+  return result.matchedCount > 0;
+}
+
+async function releaseConversationLock(phoneNumber, owner) {
+  await ConversationLock.deleteOne({ _id: phoneNumber, owner: owner });
+}
+
+// Renova o lock enquanto o dono trabalha (IA, agenda e envios podem passar do TTL).
+// Retorna a função que para a renovação.
+function startLockHeartbeat(phoneNumber, owner) {
+  const timer = setInterval(() => {
+    renewConversationLock(phoneNumber, owner)
+      .then(renewed => {
+        if (!renewed) logger.warn(`Conversation lock for ${phoneNumber} lost during processing`);
+      })
+      .catch(error => logger.error(`Conversation lock renewal for ${phoneNumber} failed:`, error.message));
+  }, Math.max(Math.floor(getInboundQueueConfig().lockTtlMs / 3), 1000));
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Registra a mensagem recebida (dedupe pelo id do WhatsApp, já que a Meta
+ * reentrega webhooks) e dispara o processamento da fila do telefone.
+ */
+async function enqueueInboundMessage(message, contactName = '') {
+  try {
+    await InboundMessage.create({
+      messageId: message.id,
+      phoneNumber: message.from,
+      contactName: contactName,
+      type: message.type,
+      payload: message,
+      sentAt: message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.info(`Duplicate webhook delivery ignored: ${message.id}`);
+      return;
+    }
+    throw error;
+  }
+
+  const { debounceMs } = getInboundQueueConfig();
+  if (debounceMs > 0) {
+    scheduleInboundDrain(message.from, debounceMs);
+  } else {
+    await drainInboundQueue(message.from);
+  }
+}
+
+function scheduleInboundDrain(phoneNumber, delayMs) {
+  setTimeout(() => {
+    drainInboundQueue(phoneNumber).catch(error => logger.error('Inbound queue error:', error));
+  }, delayMs);
+}
+
+// Com debounce, textos em sequência viram um único turno; o resto vai um a um
+function takeInboundBatch(queued, debounceMs) {
+  if (debounceMs <= 0 || queued[0].type !== 'text') return [queued[0]];
+
+  const batch = [];
+  for (const item of queued) {
+    if (item.type !== 'text') break;
+    batch.push(item);
+  }
+  return batch;
+}
+
+async function processInboundBatch(phoneNumber, batch) {
+  const last = batch[batch.length - 1];
+  const parts = [];
+  for (const item of batch) {
+    const text = await getInboundMessageText(item.payload);
+    if (text) parts.push({ content: text, messageId: item.messageId, timestamp: item.sentAt });
+  }
+
+  if (parts.length === 0) {
+    return handleUnsupportedMessage(phoneNumber, last.type, last.messageId, last.contactName);
+  }
+
+  if (batch.length > 1) logger.info(`Merging ${batch.length} messages from ${phoneNumber} into one turn`);
+  return processIncomingMessage(
+    phoneNumber,
+    parts.map(part => part.content).join('\n'),
+    last.messageId,
+    last.contactName,
+    { parts, referral: batch.find(item => item.payload?.referral)?.payload.referral }
+  );
+}
+
+/**
+ * Processa, em ordem e um turno por vez, as mensagens pendentes do telefone.
+ * Quem não consegue o lock sai: o dono atual drena a fila até esvaziar.
+ */
+async function drainInboundQueue(phoneNumber) {
+  const owner = await acquireConversationLock(phoneNumber);
+  if (!owner) return;
+
+  const { debounceMs } = getInboundQueueConfig();
+  let rescheduled = false;
+  const stopHeartbeat = startLockHeartbeat(phoneNumber, owner);
+
+  try {
+    while (true) {
+      const queued = await InboundMessage.find({ phoneNumber: phoneNumber, status: 'QUEUED' })
+        .sort({ sentAt: 1, createdAt: 1 });
+      if (queued.length === 0) break;
+
+      // Lead ainda digitando: espera a janela fechar
+      const newest = Math.max(...queued.map(item => item.createdAt.getTime()));
+      const waitMs = newest + debounceMs - Date.now();
+      if (debounceMs > 0 && waitMs > 0) {
+        scheduleInboundDrain(phoneNumber, waitMs);
+        rescheduled = true;
+        break;
+      }
+
+      const batch = takeInboundBatch(queued, debounceMs);
+      const ids = batch.map(item => item._id);
+      await InboundMessage.updateMany({ _id: { $in: ids } }, { $set: { status: 'PROCESSING' } });
+
+      let result;
+      try {
+        result = await processInboundBatch(phoneNumber, batch);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      await InboundMessage.updateMany({ _id: { $in: ids } }, {
+        $set: {
+          status: result?.success ? 'DONE' : 'FAILED',
+          processedAt: new Date(),
+          ...(result?.error && { error: result.error })
+        }
+      });
+
+      if (!(await renewConversationLock(phoneNumber, owner))) {
+        logger.warn(`Conversation lock for ${phoneNumber} expired during processing`);
+        return;
+      }
+    }
+  } finally {
+    stopHeartbeat();
+    await releaseConversationLock(phoneNumber, owner);
+  }
+
+  // Mensagem que chegou entre a última leitura e a liberação do lock
+  if (!rescheduled && await InboundMessage.exists({ phoneNumber: phoneNumber, status: 'QUEUED' })) {
+    await drainInboundQueue(phoneNumber);
+  }
+}
+
+/**
+ * Recupera filas paradas (instância que caiu no meio do processamento ou
+ * timer de debounce perdido num restart).
+ */
+async function recoverInboundQueues() {
+  const { debounceMs, lockTtlMs } = getInboundQueueConfig();
+
+  await InboundMessage.updateMany(
+    { status: 'PROCESSING', updatedAt: { $lte: new Date(Date.now() - lockTtlMs) } },
+    { $set: { status: 'QUEUED' } }
+  );
+
+  const phoneNumbers = await InboundMessage.distinct('phoneNumber', {
+    status: 'QUEUED',
+    createdAt: { $lte: new Date(Date.now() - debounceMs - 30000) }
+  });
+
+  for (const phoneNumber of phoneNumbers) {
+    logger.warn(`Recovering stalled inbound queue for ${phoneNumber}`);
+    await drainInboundQueue(phoneNumber);
+  }
+}
+
+// ============================================================================
+// LEAD SCORING
+// ============================================================================
+
+const DEFAULT_SCORING_RULES = {
+  version: 1,
+  definition: {
+    revenue: { 'ATE_50K': 5, '50K_200K': 15, '200K_500K': 25, 'ACIMA_500K': 35 },
+    role: {
+      'Sócio/Fundador': 25, 'Diretor': 22, 'Gerente': 15,
+      'Coordenador/Supervisor': 10, 'Vendedor': 5, 'Analista': 3, 'default': 5
+    },
+    emailDomain: {
+      corporate: 15,
+      free: 3,
+      freeDomains: [
+        'gmail.com', 'hotmail.com', 'outlook.com', 'live.com', 'yahoo.com', 'yahoo.com.br',
+        'icloud.com', 'bol.com.br', 'uol.com.br', 'terra.com.br', 'ig.com.br'
+      ]
+    },
+    // Mediana do tempo de resposta do lead (minutos)
+    responseLatency: [
+      { maxMinutes: 5, points: 10 },
+      { maxMinutes: 60, points: 6 },
+      { maxMinutes: 1440, points: 2 }
+    ],
+    appointment: { 'CONFIRMED': 15, 'COMPLETED': 15, 'NO_SHOW': -10, 'CANCELLED': -5 }
+  }
+};
+
+let scoringRulesCache = null;
+
+function validateScoringRules(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object') return ['definição das regras ausente'];
+
+  const isPointsMap = map => map && typeof map === 'object' &&
+    Object.values(map).every(points => typeof points === 'number' && Number.isFinite(points));
+
+  if (definition.revenue !== undefined) {
+    if (!isPointsMap(definition.revenue)) errors.push('revenue: pontos devem ser números');
+    Object.keys(definition.revenue || {}).filter(code => !REVENUE_BRACKETS[code]).forEach(code => {
+      errors.push(`revenue: faixa desconhecida "${code}" (use ${Object.keys(REVENUE_BRACKETS).join(', ')})`);
+    });
+  }
+  if (definition.role !== undefined && !isPointsMap(definition.role)) {
+    errors.push('role: pontos devem ser números');
+  }
+  if (definition.appointment !== undefined && !isPointsMap(definition.appointment)) {
+    errors.push('appointment: pontos devem ser números');
+  }
+  if (definition.emailDomain !== undefined) {
+    const { corporate, free, freeDomains } = definition.emailDomain;
+    if (typeof corporate !== 'number' || typeof free !== 'number') errors.push('emailDomain: corporate e free devem ser números');
+    if (!Array.isArray(freeDomains)) errors.push('emailDomain: freeDomains deve ser uma lista');
+  }
+  if (definition.responseLatency !== undefined) {
+    const tiers = definition.responseLatency;
+    if (!Array.isArray(tiers) || tiers.some(t => typeof t.maxMinutes !== 'number' || typeof t.points !== 'number')) {
+      errors.push('responseLatency: lista de { maxMinutes, points }');
+    }
+  }
+  return errors;
+}
+
+async function getActiveScoringRules() {
+  if (scoringRulesCache) return scoringRulesCache;
+
+  const rules = await ScoringRules.findOne({ active: true }).sort({ version: -1 }).lean();
+  scoringRulesCache = rules || DEFAULT_SCORING_RULES;
+  return scoringRulesCache;
+}
+
+function getMedianResponseMinutes(conversation) {
+  const delays = [];
+  let lastOutgoing = null;
+
+  (conversation.messages || []).forEach(message => {
+    if (message.direction === 'OUTGOING') {
+      lastOutgoing = lastOutgoing || message.timestamp;
+    } else if (lastOutgoing) {
+      delays.push(moment(message.timestamp).diff(moment(lastOutgoing), 'minutes', true));
+      lastOutgoing = null;
+    }
+  });
+
+  return getMedian(delays);
+}
+
+function getMedian(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Calcula o lead score com as regras configuradas e devolve também o detalhamento
+ * por regra, gravado na conversa para o time comercial entender a nota.
+ */
+function calculateLeadScore(conversation, rules = DEFAULT_SCORING_RULES) {
+  const definition = rules.definition;
+  const userData = conversation.userData || {};
+  const breakdown = [];
+  const add = (rule, value, points, reason) => {
+    if (points) breakdown.push({ rule, value: String(value), points, reason });
+  };
+
+  if (userData.revenue && definition.revenue) {
+    add('revenue', userData.revenue, definition.revenue[userData.revenue] || 0,
+      `Faturamento ${getRevenueLabel(userData.revenue)}`);
+  }
+
+  if (userData.function && definition.role) {
+    const known = definition.role[userData.function] !== undefined;
+    add('role', userData.function, known ? definition.role[userData.function] : (definition.role.default || 0),
+      known ? `Cargo ${userData.function}` : `Cargo fora da lista (${userData.function})`);
+  }
+
+  if (userData.email && definition.emailDomain) {
+    const domain = userData.email.split('@')[1];
+    const free = (definition.emailDomain.freeDomains || []).includes(domain);
+    add('emailDomain', domain, free ? definition.emailDomain.free : definition.emailDomain.corporate,
+      free ? `Email pessoal (${domain})` : `Email corporativo (${domain})`);
+  }
+
+  const latency = getMedianResponseMinutes(conversation);
+  if (latency !== null && definition.responseLatency) {
+    const tier = definition.responseLatency
+      .slice()
+      .sort((a, b) => a.maxMinutes - b.maxMinutes)
+      .find(t => latency <= t.maxMinutes);
+    if (tier) add('responseLatency', Math.round(latency), tier.points, `Responde em ~${Math.round(latency)} min`);
+  }
+
+  // Reunião em revisão vale como marcada até alguém registrar presença ou falta
+  const appointmentStatus = conversation.appointment?.status === 'PENDING_REVIEW'
+    ? 'CONFIRMED'
+    : conversation.appointment?.status;
+  if (appointmentStatus && definition.appointment?.[appointmentStatus] !== undefined) {
+    add('appointment', appointmentStatus, definition.appointment[appointmentStatus], `Reunião ${appointmentStatus}`);
+  }
+
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+  return { score: Math.max(0, Math.min(Math.round(total), 100)), breakdown };
+}
+
+function applyLeadScore(conversation, rules) {
+  const { score, breakdown } = calculateLeadScore(conversation, rules);
+  conversation.userData.leadScore = score;
+  conversation.userData.scoreBreakdown = breakdown;
+  conversation.userData.scoreVersion = rules.version;
+  conversation.userData.scoredAt = new Date();
+  return score;
+}
+
+// Recalcula conversas pontuadas com outra versão das regras (idempotente, retomável)
+async function recomputeLeadScores() {
+  const rules = await getActiveScoringRules();
+  const cursor = Conversation.find({ 'userData.scoreVersion': { $ne: rules.version } })
+    .select('userData messages appointment')
+    .cursor();
+  let updated = 0;
+
+  for (let conversation = await cursor.next(); conversation; conversation = await cursor.next()) {
+    const { score, breakdown } = calculateLeadScore(conversation, rules);
+    await Conversation.updateOne({ _id: conversation._id }, {
+      $set: {
+        'userData.leadScore': score,
+        'userData.scoreBreakdown': breakdown,
+        'userData.scoreVersion': rules.version,
+        'userData.scoredAt': new Date()
+      }
+    });
+    updated++;
+  }
+
+  if (updated > 0) logger.info(`Lead scores recomputed with rules v${rules.version}: ${updated} conversations`);
+  return updated;
+}
+
+// ============================================================================
+// DASHBOARD METRICS
+// ============================================================================
+
+// Faixas do histograma de lead score (limite inferior de cada faixa)
+const SCORE_BUCKETS = [0, 20, 40, 60, 80];
+
+function toRate(part, total) {
+  return total ? Number((part / total).toFixed(4)) : 0;
+}
+
+/**
+ * Filtros do dashboard: período (padrão: últimos 30 dias), campanha
+ * ("organic" = leads sem campanha) e fluxo. Retorna null se o período for inválido.
+ */
+function parseDashboardFilters(query) {
+  // Datas sem horário valem o dia inteiro no fuso da agenda
+  const { timezone } = getSchedulingConfig();
+  const parseDate = (value, edge) => /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? moment.tz(value, timezone)[edge]('day').toDate()
+    : new Date(value);
+
+  const from = query.from ? parseDate(query.from, 'startOf') : moment().subtract(30, 'days').startOf('day').toDate();
+  const to = query.to ? parseDate(query.to, 'endOf') : new Date();
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) return null;
+
+  return {
+    from,
+    to,
+    campaign: query.campaign || null,
+    flowKey: query.flowKey || null
+  };
+}
+
+function buildCampaignMatch(filters) {
+  const match = {};
+  if (filters.campaign === 'organic') match['attribution.campaign'] = null;
+  else if (filters.campaign) match['attribution.campaign'] = filters.campaign;
+  if (filters.flowKey) match['flow.key'] = filters.flowKey;
+  return match;
+}
+
+// Coorte: conversas iniciadas no período (leads importados que nunca conversaram ficam de fora)
+function buildCohortMatch(filters) {
+  return {
+    ...buildCampaignMatch(filters),
+    'metadata.conversationStarted': { $gte: filters.from, $lte: filters.to },
+    'metadata.closedReason': { $ne: 'IMPORTED' }
+  };
+}
+
+// Ordem do funil: estágios alcançáveis a partir do inicial, seguindo as transições
+function getFunnelStageOrder(definition) {
+  const order = [definition.initialStage];
+  for (let index = 0; index < order.length; index++) {
+    getStageTransitions(definition.stages[order[index]]).forEach(transition => {
+      if (transition.stage !== 'ABANDONED' && !order.includes(transition.stage)) order.push(transition.stage);
+    });
+  }
+  return order;
+}
+
+/**
+ * Funil da coorte: quantas conversas chegaram a cada estágio (pelo histórico de
+ * estágios; conversas antigas sem histórico contam até o estágio atual), quantas
+ * estão paradas nele e a taxa de perda para o estágio seguinte.
+ */
+async function getFunnelMetrics(filters) {
+  const flow = await getActiveFlow(filters.flowKey || process.env.DEFAULT_FLOW_KEY || DEFAULT_FLOW.key);
+  const order = getFunnelStageOrder(flow.definition);
+
+  const [result] = await Conversation.aggregate([
+    { $match: buildCohortMatch(filters) },
+    {
+      $facet: {
+        reached: [
+          { $project: { stages: { $setUnion: [{ $ifNull: ['$stageHistory.stage', []] }, ['$stage']] } } },
+          { $group: { _id: '$stages', count: { $sum: 1 } } }
+        ],
+        current: [{ $group: { _id: '$stage', count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  const reached = order.map(() => 0);
+  (result?.reached || []).forEach(group => {
+    const furthest = Math.max(0, ...group._id.map(stage => order.indexOf(stage)));
+    for (let index = 0; index <= furthest; index++) reached[index] += group.count;
+  });
+  const current = Object.fromEntries((result?.current || []).map(item => [item._id, item.count]));
+
+  return {
+    flow: { key: flow.key, version: flow.version },
+    total: reached[0],
+    abandoned: current.ABANDONED || 0,
+    stages: order.map((stage, index) => ({
+      stage,
+      reached: reached[index],
+      current: current[stage] || 0,
+      dropOffRate: index < order.length - 1 ? toRate(reached[index] - reached[index + 1], reached[index]) : null
+    }))
+  };
+}
+
+/**
+ * Reuniões por dia no período (pela data de cada evento, não pela coorte):
+ * marcadas (bookedAt), realizadas / no-show (data da reunião) e canceladas.
+ */
+async function getAppointmentMetrics(filters) {
+  const range = { $gte: filters.from, $lte: filters.to };
+  const { timezone } = getSchedulingConfig();
+  const toDay = field => ({ $dateToString: { format: '%Y-%m-%d', date: field, timezone: timezone } });
+
+  const [result] = await Conversation.aggregate([
+    {
+      $match: {
+        ...buildCampaignMatch(filters),
+        $or: [
+          { 'appointment.bookedAt': range },
+          { 'appointment.scheduledDate': range },
+          { 'appointment.history.changedAt': range }
+        ]
+      }
+    },
+    {
+      $facet: {
+        booked: [
+          { $match: { 'appointment.bookedAt': range } },
+          { $group: { _id: toDay('$appointment.bookedAt'), count: { $sum: 1 } } }
+        ],
+        attended: [
+          { $match: { 'appointment.status': { $in: ['COMPLETED', 'NO_SHOW', 'PENDING_REVIEW'] }, 'appointment.scheduledDate': range } },
+          { $group: { _id: { day: toDay('$appointment.scheduledDate'), status: '$appointment.status' }, count: { $sum: 1 } } }
+        ],
+        cancelled: [
+          { $unwind: '$appointment.history' },
+          { $match: { 'appointment.history.action': 'CANCELLED', 'appointment.history.changedAt': range } },
+          { $group: { _id: toDay('$appointment.history.changedAt'), count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const days = new Map();
+  const getDay = date => {
+    if (!days.has(date)) days.set(date, { date, booked: 0, completed: 0, noShow: 0, pendingReview: 0, cancelled: 0 });
+    return days.get(date);
+  };
+  (result?.booked || []).forEach(item => { getDay(item._id).booked += item.count; });
+  const attendanceKeys = { COMPLETED: 'completed', NO_SHOW: 'noShow', PENDING_REVIEW: 'pendingReview' };
+  (result?.attended || []).forEach(item => {
+    getDay(item._id.day)[attendanceKeys[item._id.status]] += item.count;
+  });
+  (result?.cancelled || []).forEach(item => { getDay(item._id).cancelled += item.count; });
+
+  const perDay = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  const totals = perDay.reduce((sum, day) => {
+    ['booked', 'completed', 'noShow', 'pendingReview', 'cancelled'].forEach(key => { sum[key] += day[key]; });
+    return sum;
+  }, { booked: 0, completed: 0, noShow: 0, pendingReview: 0, cancelled: 0 });
+
+  return {
+    totals: { ...totals, showRate: toRate(totals.completed, totals.completed + totals.noShow) },
+    perDay
+  };
+}
+
+async function getLeadScoreMetrics(filters) {
+  const [result] = await Conversation.aggregate([
+    { $match: buildCohortMatch(filters) },
+    {
+      $facet: {
+        buckets: [{
+          $bucket: {
+            groupBy: { $ifNull: ['$userData.leadScore', 0] },
+            boundaries: [Number.MIN_SAFE_INTEGER, ...SCORE_BUCKETS, Number.MAX_SAFE_INTEGER],
+            output: { count: { $sum: 1 } }
+          }
+        }],
+        summary: [{ $group: { _id: null, average: { $avg: { $ifNull: ['$userData.leadScore', 0] } } } }]
+      }
+    }
+  ]);
+
+  const counts = new Map((result?.buckets || []).map(item => [item._id, item.count]));
+  const distribution = [Number.MIN_SAFE_INTEGER, ...SCORE_BUCKETS].map((min, index, bounds) => ({
+    range: min === Number.MIN_SAFE_INTEGER ? '<0'
+      : index === bounds.length - 1 ? `${min}+` : `${min}-${bounds[index + 1] - 1}`,
+    count: counts.get(min) || 0
+  })).filter(bucket => bucket.range !== '<0' || bucket.count > 0);
+
+  const average = result?.summary?.[0]?.average;
+  return {
+    average: average === undefined ? null : Number(average.toFixed(1)),
+    distribution
+  };
+}
+
+// Tempo até qualificar: início da conversa até a primeira chegada ao agendamento
+async function getQualificationMetrics(filters) {
+  const match = buildCohortMatch(filters);
+  const [total, durations] = await Promise.all([
+    Conversation.countDocuments(match),
+    Conversation.aggregate([
+      { $match: { ...match, 'metadata.qualifiedAt': { $ne: null } } },
+      { $project: { minutes: { $divide: [{ $subtract: ['$metadata.qualifiedAt', '$metadata.conversationStarted'] }, 60000] } } }
+    ])
+  ]);
+
+  const median = getMedian(durations.map(item => item.minutes));
+  return {
+    qualified: durations.length,
+    qualificationRate: toRate(durations.length, total),
+    medianMinutesToQualify: median === null ? null : Number(median.toFixed(1))
+  };
+}
+
+// Turnos em que a IA falhou (erro da API ou saída inválida após as tentativas)
+async function getAIMetrics(filters) {
+  const [result] = await Conversation.aggregate([
+    { $match: buildCohortMatch(filters) },
+    { $group: { _id: null, turns: { $sum: '$metadata.aiTurns' }, failures: { $sum: '$metadata.aiFailures' } } }
+  ]);
+
+  const turns = result?.turns || 0;
+  const failures = result?.failures || 0;
+  return { turns, failures, errorRate: toRate(failures, turns) };
+}
+
+async function getDashboardMetrics(filters) {
+  const [funnel, appointments, leadScores, qualification, ai] = await Promise.all([
+    getFunnelMetrics(filters),
+    getAppointmentMetrics(filters),
+    getLeadScoreMetrics(filters),
+    getQualificationMetrics(filters),
+    getAIMetrics(filters)
+  ]);
+  return { funnel, appointments, leadScores, qualification, ai };
+}
+
+// ============================================================================
+// EXPORT / IMPORT
+// ============================================================================
+
+const LEAD_EXPORT_FIELDS = {
+  phoneNumber: conversation => conversation.phoneNumber,
+  name: conversation => conversation.userData?.name || conversation.contactName,
+  email: conversation => conversation.userData?.email,
+  function: conversation => conversation.userData?.function,
+  revenue: conversation => conversation.userData?.revenue,
+  revenueLabel: conversation => conversation.userData?.revenue && getRevenueLabel(conversation.userData.revenue),
+  leadScore: conversation => conversation.userData?.leadScore || 0,
+  stage: conversation => conversation.stage,
+  tags: conversation => conversation.tags || [],
+  campaign: conversation => conversation.attribution?.campaign,
+  active: conversation => Boolean(conversation.metadata?.isActive),
+  conversationStarted: conversation => conversation.metadata?.conversationStarted,
+  lastActivity: conversation => conversation.metadata?.lastActivity,
+  qualifiedAt: conversation => conversation.metadata?.qualifiedAt,
+  appointmentDate: conversation => conversation.appointment?.scheduledDate,
+  appointmentStatus: conversation => conversation.appointment?.scheduledDate ? conversation.appointment.status : null
+};
+
+const APPOINTMENT_EXPORT_FIELDS = {
+  phoneNumber: conversation => conversation.phoneNumber,
+  name: conversation => conversation.userData?.name || conversation.contactName,
+  email: conversation => conversation.userData?.email,
+  leadScore: conversation => conversation.userData?.leadScore || 0,
+  scheduledDate: conversation => conversation.appointment?.scheduledDate,
+  status: conversation => conversation.appointment?.status,
+  bookedAt: conversation => conversation.appointment?.bookedAt,
+  attendanceConfirmedAt: conversation => conversation.appointment?.reminders?.attendanceConfirmedAt,
+  rescheduled: conversation => (conversation.appointment?.history || []).filter(item => item.action === 'RESCHEDULED').length,
+  meetLink: conversation => conversation.appointment?.meetLink,
+  eventId: conversation => conversation.appointment?.eventId,
+  campaign: conversation => conversation.attribution?.campaign
+};
+
+const IMPORT_MAX_ROWS = 5000;
+
+// Colunas aceitas para o telefone na importação
+const IMPORT_PHONE_COLUMNS = ['phoneNumber', 'phone', 'telefone', 'whatsapp'];
+
+/**
+ * Campos pedidos (?fields=a,b) dentro do catálogo; campos personalizados dos
+ * leads como extra.<campo>. Retorna { fields } ou { unknown } com os inválidos.
+ */
+function resolveExportFields(requested, catalog, allowExtra = false) {
+  if (!requested) return { fields: Object.keys(catalog) };
+
+  const fields = parseListParam(requested);
+  const unknown = fields.filter(field => !catalog[field] && !(allowExtra && /^extra\.\w+$/.test(field)));
+  return unknown.length > 0 ? { unknown } : { fields };
+}
+
+function getExportValue(conversation, field, catalog) {
+  if (catalog[field]) return catalog[field](conversation);
+  return conversation.userData?.extra?.[field.slice('extra.'.length)];
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join('|') : String(value);
+  // Evita que planilhas interpretem texto do lead como fórmula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV com cabeçalho para lista de objetos. Aceita vírgula ou ponto e vírgula
+ * (detectado pelo cabeçalho), aspas duplas e quebras de linha dentro de aspas.
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const headerLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index];
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[index + 1] === '\n') index++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const columns = header.map(column => column.trim());
+  return data.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()])));
+}
+
+// Escreve o cursor na resposta em CSV ou JSON, sem carregar tudo na memória
+async function streamExport(res, { cursor, fields, catalog, format, filename }) {
+  const rowValues = conversation => fields.map(field => getExportValue(conversation, field, catalog));
+
+  if (format === 'json') {
+    res.type('application/json').attachment(`${filename}.json`);
+    res.write('[');
+    let first = true;
+    for await (const conversation of cursor) {
+      const values = rowValues(conversation);
+      res.write((first ? '' : ',') + JSON.stringify(Object.fromEntries(fields.map((field, index) => [field, values[index] ?? null]))));
+      first = false;
+    }
+    res.end(']');
+    return;
+  }
+
+  res.type('text/csv; charset=utf-8').attachment(`${filename}.csv`);
+  res.write('\uFEFF' + fields.map(toCsvValue).join(',') + '\n');
+  for await (const conversation of cursor) {
+    res.write(rowValues(conversation).map(toCsvValue).join(',') + '\n');
+  }
+  res.end();
+}
+
+function normalizeImportPhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 10 && digits.length <= 15 ? digits : null;
+}
+
+function parseImportTags(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(/[|,]/))
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Lead importado sem conversa: fica inativo até o lead escrever (ver findOrStartConversation)
+async function buildImportedConversation(phoneNumber, contactName) {
+  const flow = await getActiveFlow(process.env.DEFAULT_FLOW_KEY || DEFAULT_FLOW.key);
+  return new Conversation({
+    phoneNumber: phoneNumber,
+    contactName: contactName,
+    stage: flow.definition.initialStage,
+    flow: { key: flow.key, version: flow.version },
+    userData: {},
+    appointment: { scheduled: false, status: 'PENDING' },
+    messages: [],
+    metadata: {
+      isActive: false,
+      closedReason: 'IMPORTED'
+    }
+  });
+}
+
+/**
+ * Importa leads fazendo upsert pelo telefone: atualiza a conversa mais recente
+ * do número ou cria um registro importado. Campos passam pelas validações do
+ * fluxo; linhas inválidas são relatadas e não interrompem o resto.
+ */
+async function importLeads(rows, actor) {
+  const summary = { created: 0, updated: 0, failed: [] };
+
+  for (let index = 0; index < rows.length; index++) {
+    const { tags, ...row } = rows[index] || {};
+    const phoneColumn = IMPORT_PHONE_COLUMNS.find(column => row[column]);
+    const phoneNumber = normalizeImportPhone(row[phoneColumn]);
+    if (!phoneNumber) {
+      summary.failed.push({ row: index + 1, errors: [{ field: 'phoneNumber', error: 'invalid_phone' }] });
+      continue;
+    }
+
+    // Colunas só de leitura da exportação (score, estágio...) são ignoradas; extra.<campo> vira o campo
+    const fields = Object.fromEntries(Object.entries(row)
+      .filter(([field, value]) => !IMPORT_PHONE_COLUMNS.includes(field) && value !== '' && value !== null && value !== undefined)
+      .filter(([field]) => !LEAD_EXPORT_FIELDS[field] || FIELD_VALIDATORS[field])
+      .map(([field, value]) => [field.replace(/^extra\./, ''), value]));
+
+    try {
+      await withConversationLock(phoneNumber, async () => {
+        const existing = await findLatestConversation(phoneNumber);
+        const conversation = existing || await buildImportedConversation(phoneNumber, fields.name);
+        if (!existing) recordAudit(conversation, actor, 'LEAD_IMPORTED');
+        conversation.tags = [...new Set([...(conversation.tags || []), ...parseImportTags(tags)])];
+
+        const result = await updateConversationUserData(conversation, fields, actor);
+        if (result.errors.length > 0) {
+          summary.failed.push({ row: index + 1, phoneNumber, errors: result.errors });
+        } else {
+          summary[existing ? 'updated' : 'created']++;
+        }
+      });
+    } catch (error) {
+      summary.failed.push({ row: index + 1, phoneNumber, errors: [{ error: error.code || error.message }] });
+    }
+  }
+
+  logger.info(`Lead import by ${actor.name}: ${summary.created} created, ${summary.updated} updated, ${summary.failed.length} failed`);
+  return summary;
+}
+
+// ============================================================================
+// BACKUP
+// ============================================================================
+
+const BACKUP_FILE_PATTERN = /^conversations-\d{8}-\d{6}\.ndjson\.gz$/;
+
+/**
+ * Destino do backup: BACKUP_WEBHOOK_URL (POST do arquivo) e/ou diretório local
+ * (BACKUP_DIR; padrão ./backups quando não há webhook). Mantém os BACKUP_KEEP mais recentes.
+ */
+function getBackupConfig() {
+  const webhookUrl = process.env.BACKUP_WEBHOOK_URL || null;
+  return {
+    webhookUrl: webhookUrl,
+    dir: process.env.BACKUP_DIR || (webhookUrl ? null : path.join(__dirname, 'backups')),
+    keep: parseInt(process.env.BACKUP_KEEP, 10) || 7
+  };
+}
+
+function resolveBackupFile(fileName) {
+  const { dir } = getBackupConfig();
+  const name = path.basename(fileName || '');
+  if (!dir || !BACKUP_FILE_PATTERN.test(name)) return null;
+  return path.join(dir, name);
+}
+
+async function listBackups() {
+  const { dir } = getBackupConfig();
+  if (!dir || !fs.existsSync(dir)) return [];
+
+  const names = (await fs.promises.readdir(dir)).filter(name => BACKUP_FILE_PATTERN.test(name)).sort().reverse();
+  return Promise.all(names.map(async name => {
+    const stats = await fs.promises.stat(path.join(dir, name));
+    return { file: name, size: stats.size, createdAt: stats.mtime };
+  }));
+}
+
+async function pruneBackups() {
+  const { dir, keep } = getBackupConfig();
+  const stale = (await listBackups()).slice(keep);
+  for (const backup of stale) {
+    await fs.promises.unlink(path.join(dir, backup.file));
+  }
+}
+
+/**
+ * Exporta a coleção de conversas (documentos brutos em EJSON, um por linha,
+ * gzip) para o diretório local e/ou o webhook de backup.
+ */
+async function createBackup() {
+  const config = getBackupConfig();
+  const fileName = `conversations-${moment().format('YYYYMMDD-HHmmss')}.ndjson.gz`;
+  const filePath = path.join(config.dir || os.tmpdir(), fileName);
+  if (config.dir) await fs.promises.mkdir(config.dir, { recursive: true });
+
+  let count = 0;
+  const cursor = Conversation.collection.find({});
+  const lines = async function* () {
+    for await (const document of cursor) {
+      count++;
+      yield mongoose.mongo.BSON.EJSON.stringify(document, { relaxed: false }) + '\n';
+    }
+  };
+  await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(filePath));
+  const { size } = await fs.promises.stat(filePath);
+
+  let posted = false;
+  try {
+    if (config.webhookUrl) {
+      await axios.post(config.webhookUrl, fs.createReadStream(filePath), {
+        headers: {
+          'Content-Type': 'application/gzip',
+          'Content-Length': size,
+          'X-SDR-Backup-File': fileName,
+          'X-SDR-Backup-Count': count
+        },
+        maxBodyLength: Infinity,
+        timeout: 120000
+      });
+      posted = true;
+    }
+  } finally {
+    if (!config.dir) await fs.promises.unlink(filePath);
+  }
+  if (config.dir) await pruneBackups();
+
+  logger.info(`Backup ${fileName}: ${count} conversations, ${size} bytes` + (posted ? ', posted to webhook' : ''));
+  return { file: fileName, count, size, savedTo: config.dir, posted };
+}
+
+/**
+ * Restaura um backup: cada conversa é gravada pelo _id (substitui a atual ou
+ * recria a que foi apagada); conversas criadas depois do backup são mantidas.
+ * Conversas de números eliminados (tombstone) anteriores à eliminação ficam de fora.
+ */
+async function restoreBackup(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) throw new Error(`Backup não encontrado: ${filePath}`);
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  const tombstones = new Map((await ErasureTombstone.find().select('phoneHash erasedAt').lean())
+    .map(tombstone => [tombstone.phoneHash, tombstone.erasedAt]));
+
+  let restored = 0;
+  let skipped = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Conversation.collection.bulkWrite(batch, { ordered: false });
+    restored += batch.length;
+    batch = [];
+  };
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const document = mongoose.mongo.BSON.EJSON.parse(line, { relaxed: false });
+    // Com tombstones e sem PRIVACY_HASH_SECRET o restore falha na primeira linha, antes de gravar
+    const erasedAt = tombstones.size > 0 && document.phoneNumber && tombstones.get(pseudonymizePhone(document.phoneNumber));
+    if (erasedAt && !(document.createdAt > erasedAt)) {
+      skipped++;
+      continue;
+    }
+    batch.push({ replaceOne: { filter: { _id: document._id }, replacement: document, upsert: true } });
+    if (batch.length >= 500) await flush();
+  }
+  await flush();
+
+  logger.info(`Backup ${path.basename(filePath)} restored: ${restored} conversations, ${skipped} erased skipped`);
+  return { file: path.basename(filePath), restored, skipped };
+}
+
+// ============================================================================
+// CAMPAIGNS
+// ============================================================================
+
+// Conversas iniciadas pela empresa por 24h em cada tier do WhatsApp Business
+const WHATSAPP_TIER_LIMITS = { '250': 250, '1000': 1000, '10000': 10000, '100000': 100000, 'unlimited': Infinity };
+
+const CAMPAIGN_SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * WHATSAPP_MESSAGING_TIER: limite diário da conta; CAMPAIGN_TIER_SHARE: fração
+ * dele para campanhas (o resto fica para lembretes e follow-ups);
+ * CAMPAIGN_SEND_HOURS: janela de envio no fuso da agenda (ex.: 9-20).
+ */
+function getCampaignConfig() {
+  const [startHour, endHour] = (process.env.CAMPAIGN_SEND_HOURS || '9-20').split('-').map(Number);
+  return {
+    dailyLimit: WHATSAPP_TIER_LIMITS[process.env.WHATSAPP_MESSAGING_TIER] || WHATSAPP_TIER_LIMITS['250'],
+    tierShare: parseFloat(process.env.CAMPAIGN_TIER_SHARE) || 0.8,
+    perMinute: parseInt(process.env.CAMPAIGN_SENDS_PER_MINUTE, 10) || 20,
+    startHour: Number.isFinite(startHour) ? startHour : 9,
+    endHour: Number.isFinite(endHour) ? endHour : 20
+  };
+}
+
+function isWithinCampaignHours(config) {
+  const hour = moment().tz(getSchedulingConfig().timezone).hour();
+  return hour >= config.startHour && hour < config.endHour;
+}
+
+// Contatos da lista (CSV ou JSON): telefone, nome e origem
+function parseCampaignContacts(rows) {
+  const contacts = [];
+  const invalid = [];
+  rows.forEach((row, index) => {
+    const phoneColumn = IMPORT_PHONE_COLUMNS.find(column => row?.[column]);
+    const phoneNumber = normalizeImportPhone(row?.[phoneColumn]);
+    if (!phoneNumber) {
+      invalid.push(index + 1);
+      return;
+    }
+    contacts.push({
+      phoneNumber: phoneNumber,
+      name: row.name || row.nome || undefined,
+      source: row.source || row.origem || undefined
+    });
+  });
+  return { contacts, invalid };
+}
+
+async function addCampaignContacts(campaign, rows) {
+  const { contacts, invalid } = parseCampaignContacts(rows);
+  let inserted = 0;
+
+  if (contacts.length > 0) {
+    try {
+      const result = await CampaignContact.insertMany(
+        contacts.map(contact => ({ ...contact, campaignKey: campaign.key })),
+        { ordered: false }
+      );
+      inserted = result.length;
+    } catch (error) {
+      // Telefones repetidos na campanha são ignorados
+      if (!error.writeErrors || error.writeErrors.some(item => item.code !== 11000)) throw error;
+      inserted = error.insertedDocs?.length ?? error.insertedCount ?? 0;
+    }
+  }
+
+  return { inserted, duplicates: contacts.length - inserted, invalid };
+}
+
+function renderCampaignParams(values, contact) {
+  const firstName = (contact.name || '').trim().split(' ')[0];
+  const placeholders = { name: contact.name || '', firstName: firstName || 'tudo bem', source: contact.source || '' };
+  return (values || []).map(value => value.replace(/\{\{(\w+)\}\}/g, (match, key) => placeholders[key] ?? match));
+}
+
+function buildCampaignTemplate(campaign, contact) {
+  return buildTemplatePayload({
+    name: campaign.template.name,
+    language: campaign.template.language,
+    headerParams: renderCampaignParams(campaign.template.headerParams, contact),
+    bodyParams: renderCampaignParams(campaign.template.bodyParams, contact),
+    buttonPayloads: campaign.template.buttonPayloads || []
+  });
+}
+
+async function startCampaignConversation(campaign, contact) {
+  const flow = await getActiveFlow(campaign.flowKey);
+  const conversation = new Conversation({
+    phoneNumber: contact.phoneNumber,
+    contactName: contact.name,
+    stage: campaign.startStage,
+    flow: { key: flow.key, version: flow.version },
+    userData: {},
+    appointment: { scheduled: false, status: 'PENDING' },
+    messages: [],
+    attribution: { campaign: campaign.key, source: 'campaign', contactSource: contact.source },
+    metadata: {
+      conversationStarted: new Date(),
+      lastActivity: new Date(),
+      isActive: true
+    }
+  });
+  recordConsent(conversation, 'GRANTED', 'CAMPAIGN');
+  await conversation.save();
+  return conversation;
+}
+
+async function finishCampaignContact(contact, status, fields = {}) {
+  await CampaignContact.updateOne({ _id: contact._id }, { $set: { status, lockedAt: null, ...fields } });
+  return status;
+}
+
+/**
+ * Abre a conversa do contato no estágio da campanha e manda o template.
+ * Pula quem pediu para sair (opt-out de campanha ou revogação na última
+ * conversa) ou já está conversando.
+ */
+async function sendCampaignContact(campaign, contact) {
+  if (await CampaignContact.exists({ phoneNumber: contact.phoneNumber, status: 'OPTED_OUT' }) ||
+      await isPhoneOptedOut(contact.phoneNumber)) {
+    return finishCampaignContact(contact, 'SKIPPED', { error: 'OPTED_OUT' });
+  }
+  if (await findActiveConversation(contact.phoneNumber)) {
+    return finishCampaignContact(contact, 'SKIPPED', { error: 'ACTIVE_CONVERSATION' });
+  }
+
+  const conversation = await startCampaignConversation(campaign, contact);
+  try {
+    const payload = buildCampaignTemplate(campaign, contact);
+    await sendAndRecordMessage(conversation, `[template ${campaign.template.name}]`, payload, {
+      template: campaign.template.name,
+      sentBy: `campaign:${campaign.key}`
+    });
+  } catch (error) {
+    conversation.metadata.isActive = false;
+    conversation.metadata.closedAt = new Date();
+    conversation.metadata.closedReason = 'SEND_FAILED';
+    await conversation.save();
+    return finishCampaignContact(contact, 'FAILED', { conversationId: conversation._id, error: error.message });
+  }
+
+  await publishEvent(conversation, 'lead.created', { campaign: campaign.key });
+  return finishCampaignContact(contact, 'SENT', { conversationId: conversation._id, sentAt: new Date() });
+}
+
+async function completeCampaignIfDone(campaign) {
+  const remaining = await CampaignContact.exists({ campaignKey: campaign.key, status: { $in: ['PENDING', 'SENDING'] } });
+  if (remaining) return;
+
+  await Campaign.updateOne({ _id: campaign._id, status: 'RUNNING' }, { $set: { status: 'COMPLETED', completedAt: new Date() } });
+  logger.info(`Campaign ${campaign.key} completed`);
+}
+
+/**
+ * Envia o próximo lote das campanhas em andamento, dividido entre elas,
+ * respeitando o limite por minuto e a fração do tier diário ainda livre.
+ */
+async function processCampaigns() {
+  const config = getCampaignConfig();
+  if (!isWithinCampaignHours(config)) return;
+
+  // Contato preso em SENDING (instância caiu): volta para a fila; se a conversa
+  // já foi aberta, o envio seguinte o pula como ACTIVE_CONVERSATION
+  await CampaignContact.updateMany(
+    { status: 'SENDING', lockedAt: { $lte: new Date(Date.now() - CAMPAIGN_SENDING_TIMEOUT_MS) } },
+    { $set: { status: 'PENDING', lockedAt: null } }
+  );
+
+  const campaigns = await Campaign.find({ status: 'RUNNING' }).sort({ startedAt: 1 });
+  if (campaigns.length === 0) return;
+
+  const sentToday = await CampaignContact.countDocuments({ sentAt: { $gte: moment().subtract(24, 'hours').toDate() } });
+  let budget = Math.min(config.perMinute, Math.floor(config.dailyLimit * config.tierShare) - sentToday);
+  if (budget <= 0) {
+    logger.warn(`Campaign sends paused: daily tier budget used (${sentToday} in 24h)`);
+    return;
+  }
+
+  const perCampaign = Math.ceil(budget / campaigns.length);
+  for (const campaign of campaigns) {
+    let campaignBudget = Math.min(perCampaign, budget);
+    while (campaignBudget > 0) {
+      const contact = await CampaignContact.findOneAndUpdate(
+        { campaignKey: campaign.key, status: 'PENDING' },
+        { $set: { status: 'SENDING', lockedAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!contact) {
+        await completeCampaignIfDone(campaign);
+        break;
+      }
+
+      let status;
+      try {
+        // Número em atendimento agora já está conversando: não recebe a campanha
+        status = await withScheduledConversationLock(contact.phoneNumber, () => sendCampaignContact(campaign, contact)) ||
+          await finishCampaignContact(contact, 'SKIPPED', { error: 'ACTIVE_CONVERSATION' });
+      } catch (error) {
+        logger.error(`Campaign ${campaign.key} contact ${contact.phoneNumber} failed:`, error);
+        status = await finishCampaignContact(contact, 'FAILED', { error: error.message });
+      }
+      // Contato pulado não gasta cota
+      if (status !== 'SKIPPED') {
+        campaignBudget--;
+        budget--;
+      }
+    }
+  }
+}
+
+// Resultado da campanha: contatos por status e o que as conversas geraram
+async function getCampaignStats(campaign) {
+  const [byStatus, [outcomes]] = await Promise.all([
+    CampaignContact.aggregate([
+      { $match: { campaignKey: campaign.key } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Conversation.aggregate([
+      { $match: { 'attribution.campaign': campaign.key, 'attribution.source': 'campaign' } },
+      {
+        $group: {
+          _id: null,
+          replied: {
+            $sum: {
+              $cond: [{ $gt: [{ $size: { $filter: { input: '$messages', cond: { $eq: ['$$this.direction', 'INCOMING'] } } } }, 0] }, 1, 0]
+            }
+          },
+          qualified: { $sum: { $cond: [{ $ifNull: ['$metadata.qualifiedAt', false] }, 1, 0] } },
+          booked: { $sum: { $cond: [{ $ifNull: ['$appointment.bookedAt', false] }, 1, 0] } },
+          completed: { $sum: { $cond: [{ $eq: ['$appointment.status', 'COMPLETED'] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const contacts = Object.fromEntries(byStatus.map(item => [item._id, item.count]));
+  const total = Object.values(contacts).reduce((sum, count) => sum + count, 0);
+  // Quem saiu também tinha recebido a mensagem
+  const sent = (contacts.SENT || 0) + (contacts.OPTED_OUT || 0);
+  const result = { replied: 0, qualified: 0, booked: 0, completed: 0, ...(outcomes || {}) };
+
+  return {
+    contacts: { total, ...contacts },
+    sent: sent,
+    replied: result.replied,
+    qualified: result.qualified,
+    booked: result.booked,
+    completed: result.completed,
+    optedOut: contacts.OPTED_OUT || 0,
+    rates: {
+      reply: toRate(result.replied, sent),
+      qualification: toRate(result.qualified, sent),
+      booking: toRate(result.booked, sent),
+      optOut: toRate(contacts.OPTED_OUT || 0, sent)
+    }
+  };
+}
+
+// ============================================================================
+// SCHEDULED JOBS
+// ============================================================================
+
+// minNoticeHours: reunião marcada (ou remarcada) com menos antecedência que isso não recebe o lembrete
+const REMINDER_WINDOWS = [
+  { key: 'sent24h', hoursBefore: 24, minHoursBefore: 1, minNoticeHours: 24 },
+  { key: 'sent1h', hoursBefore: 1, minHoursBefore: 0 }
+];
+
+const runningJobs = new Set();
+
+// Evita execuções sobrepostas do mesmo job neste processo
+async function runJob(name, job) {
+  if (runningJobs.has(name)) return;
+  runningJobs.add(name);
+  try {
+    await job();
+  } catch (error) {
+    logger.error(`Scheduled job ${name} failed:`, error);
+  } finally {
+    runningJobs.delete(name);
+  }
+}
+
+/**
+ * Trabalho do scheduler numa conversa, com o mesmo lock dos turnos: se o lead
+ * está sendo atendido agora, pula (retorna null) e fica para a próxima execução.
+ */
+async function withScheduledConversationLock(phoneNumber, fn) {
+  try {
+    return await withConversationLock(phoneNumber, fn, 1);
+  } catch (error) {
+    if (error.code !== 'CONVERSATION_BUSY') throw error;
+    logger.info(`Conversation ${phoneNumber} busy, scheduled work postponed`);
+    return null;
+  }
+}
+
+/**
+ * options.interactive: versão com botões/lista da mensagem (o histórico guarda o texto)
+ * options.template: { useCase, context } usado quando o lead está fora da janela de 24h
+ */
+async function sendScheduledMessage(conversationId, message, options = {}) {
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) return;
+
+  const outbound = resolveOutboundMessage(conversation, message, options);
+  await sendAndRecordMessage(conversation, message, outbound.payload,
+    outbound.template ? { template: outbound.template } : {});
+}
+
+function buildReminderMessage(conversation, window) {
+  const { timezone } = getSchedulingConfig();
+  const appointment = conversation.appointment;
+  const when = moment(appointment.scheduledDate).tz(timezone);
+  const name = conversation.userData?.name ? `, ${conversation.userData.name.split(' ')[0]}` : '';
+  const intro = window.key === 'sent24h'
+    ? `Oi${name}! Passando para lembrar da nossa reunião de ${when.format('DD/MM [às] HH:mm[h]')}.`
+    : `Oi${name}! Nossa reunião começa em 1 hora, às ${when.format('HH:mm[h]')}.`;
+
+  return intro +
+    (appointment.meetLink ? `\n\n📅 Link: ${appointment.meetLink}` : '') +
+    '\n\nResponda *SIM* para confirmar sua presença ou *REMARCAR* se precisar mudar o horário.';
+}
+
+// Quando a data atual da reunião foi definida: marcação ou última remarcação
+function getAppointmentSetAt(appointment) {
+  const rescheduled = (appointment.history || []).filter(entry => entry.action === 'RESCHEDULED').map(entry => entry.changedAt);
+  const dates = [appointment.bookedAt, ...rescheduled].filter(Boolean).map(date => new Date(date).getTime());
+  return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+}
+
+async function sendAppointmentReminders() {
+  const now = moment();
+
+  for (const window of REMINDER_WINDOWS) {
+    const field = `appointment.reminders.${window.key}`;
+    const candidates = await Conversation.find({
+      'appointment.scheduled': true,
+      'appointment.status': 'CONFIRMED',
+      'appointment.scheduledDate': {
+        $gt: now.clone().add(window.minHoursBefore, 'hours').toDate(),
+        $lte: now.clone().add(window.hoursBefore, 'hours').toDate()
+      },
+      'consent.status': { $ne: 'REVOKED' },
+      [field]: null
+    }).select('_id phoneNumber appointment.scheduledDate appointment.bookedAt appointment.history');
+
+    for (const candidate of candidates) {
+      // Marcada em cima da hora: o lembrete de 24h sairia junto com o de 1h
+      const setAt = window.minNoticeHours && getAppointmentSetAt(candidate.appointment);
+      if (setAt && moment(candidate.appointment.scheduledDate).diff(setAt, 'hours', true) < window.minNoticeHours) continue;
+
+      await withScheduledConversationLock(candidate.phoneNumber, async () => {
+        // Claim atômico: só uma instância (ou execução) envia cada lembrete.
+        // Devolve o documento anterior para desfazer o pedido de confirmação se o envio falhar
+        const conversation = await Conversation.findOneAndUpdate(
+          { _id: candidate._id, 'appointment.status': 'CONFIRMED', [field]: null },
+          { $set: { [field]: new Date(), 'appointment.reminders.confirmationRequestedAt': new Date() } }
+        );
+        if (!conversation) return;
+        const previousRequestedAt = conversation.appointment.reminders?.confirmationRequestedAt;
+
+        try {
+          const message = buildReminderMessage(conversation, window);
+          await sendScheduledMessage(conversation._id, message, {
+            interactive: buildReplyButtonsMessage(message, APPOINTMENT_CONFIRM_BUTTONS),
+            template: { useCase: 'APPOINTMENT_REMINDER' }
+          });
+          logger.info(`Reminder ${window.key} sent to ${conversation.phoneNumber}`);
+        } catch (error) {
+          logger.error(`Reminder ${window.key} failed for ${conversation.phoneNumber}:`, error.message);
+          await Conversation.updateOne({ _id: conversation._id }, previousRequestedAt
+            ? { $unset: { [field]: 1 }, $set: { 'appointment.reminders.confirmationRequestedAt': previousRequestedAt } }
+            : { $unset: { [field]: 1, 'appointment.reminders.confirmationRequestedAt': 1 } });
+        }
+      });
+    }
+  }
+}
+
+async function leadDeclinedEvent(conversation) {
+  if (!calendar || !conversation.appointment.eventId || !conversation.userData?.email) return false;
+
+  try {
+    const response = await calendar.events.get({
+      calendarId: getSchedulingConfig().calendarId,
+      eventId: conversation.appointment.eventId
+    });
+    const attendee = (response.data.attendees || [])
+      .find(a => a.email?.toLowerCase() === conversation.userData.email.toLowerCase());
+    return attendee?.responseStatus === 'declined';
+  } catch (error) {
+    logger.warn(`Could not read calendar event ${conversation.appointment.eventId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Reunião passou: lead que recusou o convite no Google Calendar vira NO_SHOW.
+ * Sem essa evidência fica PENDING_REVIEW, sem mensagem nem mudança de score,
+ * até alguém marcar pela API (appointment/complete ou appointment/no-show).
+ * O SIM ao lembrete confirma a intenção, não a presença.
+ */
+async function processFinishedAppointments() {
+  const { duration } = getSchedulingConfig();
+  const grace = parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 30;
+  const cutoff = moment().subtract(duration + grace, 'minutes').toDate();
+
+  const finished = await Conversation.find({
+    'appointment.scheduled': true,
+    'appointment.status': 'CONFIRMED',
+    'appointment.scheduledDate': { $lte: cutoff }
+  });
+
+  for (const conversation of finished) {
+    await withScheduledConversationLock(conversation.phoneNumber, async () => {
+      const status = (await leadDeclinedEvent(conversation)) ? 'NO_SHOW' : 'PENDING_REVIEW';
+      const result = await Conversation.updateOne(
+        { _id: conversation._id, 'appointment.status': 'CONFIRMED' },
+        { $set: { 'appointment.status': status } }
+      );
+      if (result.modifiedCount > 0) {
+        logger.info(`Appointment for ${conversation.phoneNumber} marked ${status}`);
+        conversation.appointment.status = status;
+        await publishEvent(conversation, status === 'NO_SHOW' ? 'appointment.no_show' : 'appointment.review_required',
+          status === 'NO_SHOW' ? { reason: 'CALENDAR_DECLINED' } : {});
+      }
+    });
+  }
+}
+
+async function sendNoShowReengagements() {
+  const candidates = await Conversation.find({
+    'appointment.status': 'NO_SHOW',
+    'appointment.reminders.reengagementSentAt': null,
+    'consent.status': { $ne: 'REVOKED' }
+  }).select('_id phoneNumber');
+
+  for (const candidate of candidates) {
+    await withScheduledConversationLock(candidate.phoneNumber, async () => {
+      const conversation = await Conversation.findOneAndUpdate(
+        { _id: candidate._id, 'appointment.status': 'NO_SHOW', 'appointment.reminders.reengagementSentAt': null },
+        { $set: { 'appointment.reminders.reengagementSentAt': new Date() } },
+        { new: true }
+      );
+      if (!conversation) return;
+
+      const name = conversation.userData?.name ? ` ${conversation.userData.name.split(' ')[0]}` : '';
+      const message = `Oi${name}, sentimos sua falta na reunião de hoje! ` +
+        'Imagino que a correria tenha apertado. Quer *REMARCAR* para outro horário?';
+
+      try {
+        await sendScheduledMessage(conversation._id, message, { template: { useCase: 'NO_SHOW_REENGAGEMENT' } });
+        logger.info(`No-show re-engagement sent to ${conversation.phoneNumber}`);
+      } catch (error) {
+        logger.error(`No-show re-engagement failed for ${conversation.phoneNumber}:`, error.message);
+        await Conversation.updateOne(
+          { _id: conversation._id },
+          { $unset: { 'appointment.reminders.reengagementSentAt': 1 } }
+        );
+      }
+    });
+  }
+}
+
+// Estágios sem follow-up: reunião marcada ou conversa encerrada
+const NO_FOLLOW_UP_STAGES = [SCHEDULED_STAGE].concat(FINAL_STAGES);
+
+const FOLLOW_UP_OPENERS = [
+  'Oi! Ficou alguma dúvida? 😊',
+  'Passando aqui de novo, parceiro!',
+  'Última chamada por aqui! Se não for o momento, tudo bem.'
+];
+
+function getFollowUpConfig() {
+  const hours = (process.env.FOLLOW_UP_HOURS || '2,24,72')
+    .split(',')
+    .map(h => parseFloat(h))
+    .filter(h => h > 0)
+    .sort((a, b) => a - b);
+
+  return {
+    hours: hours,
+    abandonAfterDays: parseInt(process.env.AUTO_CLEANUP_DAYS) || 7
+  };
+}
+
+function hasUpcomingAppointment(conversation) {
+  const appointment = conversation.appointment || {};
+  return appointment.status === 'CONFIRMED' && moment(appointment.scheduledDate).isAfter(moment());
+}
+
+function isConversationStale(conversation) {
+  const { abandonAfterDays } = getFollowUpConfig();
+  const lastActivity = conversation.metadata?.lastActivity || conversation.updatedAt;
+  return moment(lastActivity).isBefore(moment().subtract(abandonAfterDays, 'days')) &&
+    !hasUpcomingAppointment(conversation);
+}
+
+// Lead que parou no meio da qualificação vira ABANDONED; conversa já concluída só é desativada
+function closeConversation(conversation, flow) {
+  const abandoned = !NO_FOLLOW_UP_STAGES.includes(conversation.stage) &&
+    !isTerminalStage(conversation.stage, getFlowStage(flow, conversation.stage));
+  if (abandoned) conversation.stage = 'ABANDONED';
+  conversation.metadata.isActive = false;
+  conversation.metadata.closedAt = new Date();
+  conversation.metadata.closedReason = abandoned ? 'ABANDONED' : 'INACTIVE';
+}
+
+async function sendInactivityFollowUps() {
+  const { hours } = getFollowUpConfig();
+
+  for (let index = 0; index < hours.length; index++) {
+    const filter = {
+      'metadata.isActive': true,
+      stage: { $nin: NO_FOLLOW_UP_STAGES },
+      'metadata.botPaused': { $ne: true },
+      'consent.status': { $ne: 'REVOKED' },
+      // Lead que cancelou a reunião volta ao estágio de agendamento, mas não é cobrado
+      'appointment.status': { $ne: 'CANCELLED' },
+      'metadata.followUps.count': index === 0 ? { $in: [0, null] } : index,
+      'metadata.lastActivity': { $lte: moment().subtract(hours[index], 'hours').toDate() }
+    };
+    const candidates = await Conversation.find(filter).select('_id stage flow phoneNumber');
+
+    for (const candidate of candidates) {
+      const stageDef = getFlowStage(await getConversationFlow(candidate), candidate.stage);
+      if (stageDef.followUp === false || stageDef.terminal || !stageDef.question) continue;
+
+      await withScheduledConversationLock(candidate.phoneNumber, async () => {
+        const conversation = await Conversation.findOneAndUpdate(
+          { ...filter, _id: candidate._id, stage: candidate.stage },
+          { $set: { 'metadata.followUps.count': index + 1, 'metadata.followUps.lastSentAt': new Date() } },
+          { new: true }
+        );
+        if (!conversation) return;
+
+        const opener = FOLLOW_UP_OPENERS[Math.min(index, FOLLOW_UP_OPENERS.length - 1)];
+        const message = `${opener} ${stageDef.question}`;
+
+        try {
+          await sendScheduledMessage(conversation._id, message, {
+            template: { useCase: 'FOLLOW_UP', context: { question: stageDef.question } }
+          });
+          logger.info(`Follow-up ${index + 1}/${hours.length} sent to ${conversation.phoneNumber} (${conversation.stage})`);
+        } catch (error) {
+          logger.error(`Follow-up failed for ${conversation.phoneNumber}:`, error.message);
+          await Conversation.updateOne(
+            { _id: conversation._id },
+            { $set: { 'metadata.followUps.count': index } }
+          );
+        }
+      });
+    }
+  }
+}
+
+async function closeInactiveConversations() {
+  const { abandonAfterDays } = getFollowUpConfig();
+  const cutoff = moment().subtract(abandonAfterDays, 'days').toDate();
+
+  const stale = await Conversation.find({
+    'metadata.isActive': true,
+    'metadata.lastActivity': { $lte: cutoff }
+  }).select('_id phoneNumber');
+
+  for (const candidate of stale) {
+    await withScheduledConversationLock(candidate.phoneNumber, async () => {
+      // Relido sob o lock: o lead pode ter respondido desde a busca
+      const conversation = await Conversation.findById(candidate._id);
+      if (!conversation?.metadata.isActive || !isConversationStale(conversation)) return;
+
+      closeConversation(conversation, await getConversationFlow(conversation));
+      await conversation.save();
+      logger.info(`Conversation ${conversation.phoneNumber} closed as ${conversation.metadata.closedReason}`);
+
+      if (conversation.stage === 'ABANDONED') {
+        await publishEvent(conversation, 'lead.abandoned', { reason: conversation.metadata.closedReason });
+      }
+    });
+  }
+}
+
+function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    logger.info('Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return [];
+  }
+
+  const timezone = process.env.TIMEZONE || 'America/Sao_Paulo';
+  const tasks = [
+    cron.schedule(process.env.REMINDER_CRON || '*/5 * * * *', () => {
+      runJob('appointment-reminders', sendAppointmentReminders);
+    }, { timezone }),
+    cron.schedule(process.env.NO_SHOW_CRON || '*/15 * * * *', () => {
+      runJob('finished-appointments', async () => {
+        await processFinishedAppointments();
+        await sendNoShowReengagements();
+      });
+    }, { timezone }),
+    cron.schedule(process.env.SCORE_RECOMPUTE_CRON || '0 * * * *', () => {
+      // Pega versões novas das regras criadas por outras instâncias
+      scoringRulesCache = null;
+      runJob('lead-score-recompute', recomputeLeadScores);
+    }, { timezone }),
+    cron.schedule(process.env.FOLLOW_UP_CRON || '*/15 * * * *', () => {
+      runJob('inactive-conversations', async () => {
+        await sendInactivityFollowUps();
+        await closeInactiveConversations();
+      });
+    }, { timezone }),
+    cron.schedule(process.env.INBOUND_RECOVERY_CRON || '* * * * *', () => {
+      runJob('inbound-queue-recovery', recoverInboundQueues);
+    }, { timezone }),
+    cron.schedule(process.env.OUTBOX_CRON || '* * * * *', () => {
+      runJob('outbox', processOutbox);
+    }, { timezone }),
+    cron.schedule(process.env.CAMPAIGN_CRON || '* * * * *', () => {
+      runJob('campaigns', processCampaigns);
+    }, { timezone })
+  ];
+
+  // Backup agendado só quando configurado (ex.: BACKUP_CRON="0 3 * * *")
+  if (process.env.BACKUP_CRON) {
+    tasks.push(cron.schedule(process.env.BACKUP_CRON, () => {
+      runJob('backup', createBackup);
+    }, { timezone }));
+  }
+
+  // Retenção LGPD só com ANALYTICS_RETENTION_DAYS definido
+  if (getPrivacyConfig().retentionDays) {
+    tasks.push(cron.schedule(process.env.RETENTION_CRON || '30 3 * * *', () => {
+      runJob('retention', applyRetentionPolicy);
+    }, { timezone }));
+  }
+
+  logger.info('⏰ Scheduler started (reminders, no-show follow-up, inactivity follow-up, lead score recompute, inbound queue recovery, outbox, campaigns)');
+  return tasks;
+}
+
+// ============================================================================
+// API ENDPOINTS
+// ============================================================================
+
+app.get('/health', async (req, res) => {
+  try {
+    const health = {
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      version: '2.1.0',
+      services: {}
+    };
+
+    // Testa MongoDB
+    try {
+      await mongoose.connection.db.admin().ping();
+      health.services.mongodb = 'connected';
+    } catch (e) {
+      health.services.mongodb = 'disconnected';
+    }
+
+    health.services.googleAI = process.env.AI_API_KEY ? 'configured' : 'not_configured';
+    health.services.whatsapp = process.env.WHATSAPP_ACCESS_TOKEN ? 'configured' : 'not_configured';
+    health.services.google_calendar = process.env.GOOGLE_CLIENT_ID ? 'configured' : 'not_configured';
+
+    res.json(health);
+  } catch (error) {
+    res.status(503).json({ status: 'unhealthy', error: error.message });
+  }
+});
+
+// Webhook verification
+app.get('/webhook', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode === 'subscribe' && token === process.env.WHATSAPP_VERIFY_TOKEN) {
+    logger.info('Webhook verified successfully');
+    res.status(200).send(challenge);
+  } else {
+    res.status(403).send('Forbidden');
+  }
+});
+
+// Webhook message receiver
+app.post('/webhook', verifyWebhookSignature, [body('entry').isArray().notEmpty()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { entry } = req.body;
+    res.status(200).json({ status: 'received' });
+
+    // Processa mensagens em background
+    for (const entryItem of entry) {
+      if (!entryItem.changes) continue;
+
+      for (const change of entryItem.changes) {
+        if (change.field !== 'messages') continue;
+
+        const { messages, contacts, statuses } = change.value;
+
+        // Status de entrega das mensagens enviadas
+        for (const status of statuses || []) {
+          setImmediate(() => {
+            processStatusUpdate(status).catch(error => logger.error('Status update error:', error));
+          });
+        }
+
+        if (!messages) continue;
+
+        for (const message of messages) {
+          // Reações e avisos de sistema não pedem resposta
+          if (['reaction', 'system'].includes(message.type)) continue;
+
+          const phoneNumber = message.from;
+          const contact = contacts?.find(c => c.wa_id === phoneNumber);
+          const contactName = contact?.profile?.name || '';
+
+          logger.info(`New ${message.type} message from ${phoneNumber}`);
+
+          // Enfileira (dedupe pelo id) e processa em ordem por telefone
+          setImmediate(async () => {
+            try {
+              await enqueueInboundMessage(message, contactName);
+            } catch (error) {
+              logger.error('Background processing error:', error);
+            }
+          });
+        }
+      }
+    }
+
+  } catch (error) {
+    logger.error('Webhook processing error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Google Calendar Auth
+app.get('/auth/google', requireRole('admin'), (req, res) => {
+  if (!oauth2Client) return res.status(503).json({ error: 'Google Calendar not configured' });
+
+  try {
+    const authUrl = oauth2Client.generateAuthUrl({
+      access_type: 'offline',
+      prompt: 'consent',
+      scope: ['https://www.googleapis.com/auth/calendar'],
+      state: signOAuthState(req.admin.name)
+    });
+    res.redirect(authUrl);
+  } catch (error) {
+    logger.error('OAuth start error:', error.message);
+    res.status(500).json({ error: 'OAuth failed' });
+  }
+});
+
+// Pública (redirecionamento do Google): autorizada pelo state assinado em /auth/google
+app.get('/auth/google/callback', async (req, res) => {
+  const { code, state } = req.query;
+  
+  try {
+    if (!oauth2Client) return res.status(503).json({ error: 'Google Calendar not configured' });
+
+    const authorization = verifyOAuthState(state);
+    if (!authorization) return res.status(403).json({ error: 'Invalid OAuth state' });
+
+    const { tokens } = await oauth2Client.getToken(code);
+    oauth2Client.setCredentials(await saveGoogleTokens(tokens, authorization.admin));
+
+    logger.info(`Google Calendar authorized by ${authorization.admin}`);
+    res.json({
+      success: true,
+      message: 'Google Calendar autorizado. As credenciais foram salvas criptografadas no servidor.'
+    });
+  } catch (error) {
+    logger.error('OAuth callback error:', error.message);
+    res.status(500).json({ error: 'OAuth failed' });
+  }
+});
+
+// Available slots
+app.get('/calendar/available-slots', requireRole('viewer'), async (req, res) => {
+  try {
+    const slots = await getAvailableSlots();
+    res.json({ success: true, slots });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get slots' });
+  }
+});
+
+// Conversation flows
+app.get('/flows', requireRole('viewer'), async (req, res) => {
+  try {
+    const flows = await Flow.find()
+      .select('key version name active createdAt')
+      .sort({ key: 1, version: -1 })
+      .lean();
+    res.json({ success: true, flows });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list flows' });
+  }
+});
+
+app.get('/flows/:key/:version', requireRole('viewer'), async (req, res) => {
+  try {
+    const flow = await getFlow(req.params.key, parseInt(req.params.version));
+    if (!flow) return res.status(404).json({ error: 'Flow not found' });
+    res.json({ success: true, flow });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get flow' });
+  }
+});
+
+app.post('/flows/validate', requireRole('viewer'), (req, res) => {
+  const errors = validateFlowDefinition(req.body.definition);
+  res.json({ valid: errors.length === 0, errors });
+});
+
+// Cada POST cria uma nova versão; conversas em andamento continuam na versão em que começaram
+app.post('/flows', requireRole('admin'), [
+  body('key').isString().matches(/^[a-z0-9-]+$/),
+  body('name').optional().isString(),
+  body('definition').isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const flowErrors = validateFlowDefinition(req.body.definition);
+    if (flowErrors.length > 0) {
+      return res.status(400).json({ success: false, errors: flowErrors });
+    }
+
+    const latest = await Flow.findOne({ key: req.body.key }).sort({ version: -1 }).select('version').lean();
+    const flow = await Flow.create({
+      key: req.body.key,
+      version: (latest?.version || 0) + 1,
+      name: req.body.name,
+      definition: req.body.definition
+    });
+
+    logger.info(`Flow ${flow.key}@${flow.version} created by ${req.admin.name}`);
+    res.status(201).json({ success: true, key: flow.key, version: flow.version });
+  } catch (error) {
+    logger.error('Flow creation error:', error);
+    res.status(500).json({ error: 'Failed to create flow' });
+  }
+});
+
+app.patch('/flows/:key/:version', requireRole('admin'), [body('active').isBoolean()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const flow = await Flow.findOneAndUpdate(
+      { key: req.params.key, version: parseInt(req.params.version) },
+      { $set: { active: req.body.active } },
+      { new: true }
+    );
+    if (!flow) return res.status(404).json({ error: 'Flow not found' });
+
+    flowCache.delete(`${flow.key}@${flow.version}`);
+    logger.info(`Flow ${flow.key}@${flow.version} ${flow.active ? 'activated' : 'deactivated'} by ${req.admin.name}`);
+    res.json({ success: true, key: flow.key, version: flow.version, active: flow.active });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update flow' });
+  }
+});
+
+// Lead scoring
+app.get('/scoring-rules', requireRole('viewer'), async (req, res) => {
+  try {
+    const rules = await getActiveScoringRules();
+    res.json({ success: true, version: rules.version, definition: rules.definition });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get scoring rules' });
+  }
+});
+
+app.post('/scoring-rules', requireRole('admin'), [body('definition').isObject()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ruleErrors = validateScoringRules(req.body.definition);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ success: false, errors: ruleErrors });
+    }
+
+    const latest = await ScoringRules.findOne().sort({ version: -1 }).select('version').lean();
+    const rules = await ScoringRules.create({
+      version: Math.max(latest?.version || 0, DEFAULT_SCORING_RULES.version) + 1,
+      definition: req.body.definition
+    });
+    scoringRulesCache = null;
+
+    logger.info(`Scoring rules v${rules.version} created by ${req.admin.name}, recomputing scores`);
+    setImmediate(() => runJob('lead-score-recompute', recomputeLeadScores));
+
+    res.status(201).json({ success: true, version: rules.version });
+  } catch (error) {
+    logger.error('Scoring rules creation error:', error);
+    res.status(500).json({ error: 'Failed to create scoring rules' });
+  }
+});
+
+app.get('/scoring/:phoneNumber', requireRole('viewer'), async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({ phoneNumber: req.params.phoneNumber })
+      .sort({ 'metadata.lastActivity': -1 })
+      .select('phoneNumber stage userData.leadScore userData.scoreBreakdown userData.scoreVersion userData.scoredAt')
+      .lean();
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+    res.json({
+      success: true,
+      phoneNumber: conversation.phoneNumber,
+      stage: conversation.stage,
+      leadScore: conversation.userData?.leadScore || 0,
+      breakdown: conversation.userData?.scoreBreakdown || [],
+      rulesVersion: conversation.userData?.scoreVersion,
+      scoredAt: conversation.userData?.scoredAt
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get lead score' });
+  }
+});
+
+// Mensagens com falha de entrega ainda não reenviadas
+app.get('/messages/failed', requireRole('viewer'), async (req, res) => {
+  try {
+    const since = req.query.since ? new Date(req.query.since) : moment().subtract(7, 'days').toDate();
+    if (isNaN(since.getTime())) return res.status(400).json({ error: 'Invalid since date' });
+
+    const failed = await Conversation.aggregate([
+      { $match: { 'messages.status': 'FAILED' } },
+      { $unwind: '$messages' },
+      { $match: { 'messages.status': 'FAILED', 'messages.retriedAt': null, 'messages.timestamp': { $gte: since } } },
+      { $sort: { 'messages.timestamp': -1 } },
+      { $limit: 200 },
+      {
+        $project: {
+          _id: 0,
+          phoneNumber: 1,
+          stage: 1,
+          messageId: '$messages.messageId',
+          content: '$messages.content',
+          template: '$messages.template',
+          timestamp: '$messages.timestamp',
+          error: '$messages.error'
+        }
+      }
+    ]);
+
+    res.json({ success: true, count: failed.length, messages: failed });
+  } catch (error) {
+    logger.error('Failed messages listing error:', error);
+    res.status(500).json({ error: 'Failed to list failed messages' });
+  }
+});
+
+app.post('/messages/:messageId/retry', requireRole('operator'), async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      messages: { $elemMatch: { messageId: req.params.messageId, status: 'FAILED' } }
+    });
+    if (!conversation) return res.status(404).json({ error: 'Failed message not found' });
+
+    const entry = conversation.messages.find(message => message.messageId === req.params.messageId);
+    if (entry.retriedAt) return res.status(409).json({ error: 'Message already retried' });
+
+    let outbound;
+    try {
+      outbound = resolveOutboundMessage(conversation, entry.content);
+    } catch (error) {
+      if (error.code === 'TEMPLATE_REQUIRED') {
+        return res.status(409).json({ error: 'Lead is outside the 24h window, a template is required', code: error.code });
+      }
+      throw error;
+    }
+
+    // Claim atômico só na entrada: status que o webhook grava em paralelo não são sobrescritos
+    const claim = await Conversation.updateOne(
+      { _id: conversation._id, messages: { $elemMatch: { messageId: entry.messageId, retriedAt: null } } },
+      { $set: { 'messages.$.retriedAt': new Date() } }
+    );
+    if (claim.modifiedCount === 0) return res.status(409).json({ error: 'Message already retried' });
+
+    // A conversa não tem outras alterações: o save de sendAndRecordMessage vira só um $push da nova mensagem
+    let delivery;
+    try {
+      delivery = await sendAndRecordMessage(conversation, entry.content, outbound.payload);
+    } catch (error) {
+      if (error.code === 'OPTED_OUT') return res.status(409).json({ error: error.message, code: error.code });
+      return res.status(502).json({ success: false, error: getWhatsAppError(error) });
+    }
+
+    res.json({
+      success: true,
+      messageId: delivery.result?.messages?.[0]?.id || delivery.item.entryId,
+      status: delivery.status === 'SENT' ? 'SENT' : 'PENDING'
+    });
+  } catch (error) {
+    logger.error('Message retry error:', error);
+    res.status(500).json({ error: 'Failed to retry message' });
+  }
+});
+
+// Entrega das mensagens enviadas no período (padrão: últimos 7 dias)
+app.get('/messages/delivery-stats', requireRole('viewer'), async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : moment().subtract(7, 'days').toDate();
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) return res.status(400).json({ error: 'Invalid date range' });
+
+    const [result] = await Conversation.aggregate([
+      { $match: { 'messages.timestamp': { $gte: from, $lte: to } } },
+      { $unwind: '$messages' },
+      { $match: { 'messages.direction': 'OUTGOING', 'messages.timestamp': { $gte: from, $lte: to } } },
+      {
+        $facet: {
+          byStatus: [{ $group: { _id: { $ifNull: ['$messages.status', 'UNKNOWN'] }, count: { $sum: 1 } } }],
+          failuresByCode: [
+            { $match: { 'messages.status': 'FAILED' } },
+            { $group: { _id: '$messages.error.code', count: { $sum: 1 }, example: { $first: '$messages.error.message' } } },
+            { $sort: { count: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const byStatus = Object.fromEntries((result?.byStatus || []).map(item => [item._id, item.count]));
+    const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+
+    res.json({
+      success: true,
+      period: { from, to },
+      total: total,
+      byStatus: byStatus,
+      failureRate: total ? Number(((byStatus.FAILED || 0) / total).toFixed(4)) : 0,
+      failuresByCode: (result?.failuresByCode || []).map(item => ({ code: item._id, count: item.count, example: item.example }))
+    });
+  } catch (error) {
+    logger.error('Delivery stats error:', error);
+    res.status(500).json({ error: 'Failed to get delivery stats' });
+  }
+});
+
+// Conversation API (n8n / CRM)
+
+const CONVERSATION_ERROR_STATUS = {
+  CONVERSATION_BUSY: 409,
+  TEMPLATE_REQUIRED: 409,
+  NO_APPOINTMENT: 409,
+  APPOINTMENT_SCHEDULED: 409,
+  ALREADY_ACTIVE: 409,
+  OPTED_OUT: 409,
+  INVALID_STAGE: 400,
+  INVALID_FIELDS: 400
+};
+
+function getActor(req) {
+  return { name: req.admin.name, onBehalfOf: req.body?.onBehalfOf || undefined };
+}
+
+/**
+ * Roda a alteração com o lock do telefone sobre a conversa ativa (ou a mais
+ * recente, com latest = true) e traduz os erros conhecidos (code) para o status HTTP.
+ */
+async function handleConversationChange(req, res, action, change, { latest = false } = {}) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await withConversationLock(req.params.phoneNumber, async () => {
+      const conversation = latest
+        ? await findLatestConversation(req.params.phoneNumber)
+        : await findActiveConversation(req.params.phoneNumber);
+      if (!conversation) {
+        return res.status(404).json({ error: latest ? 'Conversation not found' : 'Active conversation not found' });
+      }
+
+      const result = await change(conversation, getActor(req));
+      res.json({ success: true, stage: conversation.stage, ...result });
+    });
+  } catch (error) {
+    if (CONVERSATION_ERROR_STATUS[error.code]) {
+      return res.status(CONVERSATION_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details })
+      });
+    }
+    logger.error(`Conversation ${action} error:`, error);
+    res.status(500).json({ error: `Failed to ${action}` });
+  }
+}
+
+// Busca paginada (?q=&stage=&tag=&minScore=&maxScore=&from=&to=&active=&campaign=&sort=&page=&limit=)
+app.get('/conversations', requireRole('viewer'), async (req, res) => {
+  try {
+    const search = buildConversationSearch(req.query);
+    if (!search) return res.status(400).json({ error: 'Invalid filters' });
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(search.filter)
+        .sort(search.sort)
+        .skip((search.page - 1) * search.limit)
+        .limit(search.limit)
+        .select({
+          phoneNumber: 1, contactName: 1, stage: 1, tags: 1, 'flow.key': 1,
+          'userData.name': 1, 'userData.email': 1, 'userData.leadScore': 1,
+          'appointment.scheduledDate': 1, 'appointment.status': 1,
+          'handoff.active': 1, 'attribution.campaign': 1,
+          'metadata.isActive': 1, 'metadata.botPaused': 1,
+          'metadata.conversationStarted': 1, 'metadata.lastActivity': 1,
+          messages: { $slice: -1 }
+        })
+        .lean(),
+      Conversation.countDocuments(search.filter)
+    ]);
+
+    res.json({
+      success: true,
+      page: search.page,
+      limit: search.limit,
+      total: total,
+      pages: Math.ceil(total / search.limit),
+      conversations: conversations.map(conversation => ({
+        id: conversation._id,
+        phoneNumber: conversation.phoneNumber,
+        name: conversation.userData?.name || conversation.contactName,
+        email: conversation.userData?.email,
+        stage: conversation.stage,
+        leadScore: conversation.userData?.leadScore || 0,
+        tags: conversation.tags || [],
+        flowKey: conversation.flow?.key,
+        campaign: conversation.attribution?.campaign,
+        appointment: conversation.appointment?.scheduledDate ? conversation.appointment : null,
+        active: conversation.metadata?.isActive,
+        botPaused: Boolean(conversation.metadata?.botPaused),
+        handoff: Boolean(conversation.handoff?.active),
+        conversationStarted: conversation.metadata?.conversationStarted,
+        lastActivity: conversation.metadata?.lastActivity,
+        lastMessage: conversation.messages?.[0] || null
+      }))
+    });
+  } catch (error) {
+    logger.error('Conversation search error:', error);
+    res.status(500).json({ error: 'Failed to search conversations' });
+  }
+});
+
+// Conversa completa (transcrição com status de entrega e auditoria); padrão: a mais recente do número
+app.get('/conversations/:phoneNumber', requireRole('viewer'), async (req, res) => {
+  try {
+    const filter = { phoneNumber: req.params.phoneNumber };
+    if (req.query.conversationId) {
+      if (!mongoose.isValidObjectId(req.query.conversationId)) return res.status(400).json({ error: 'Invalid conversationId' });
+      filter._id = req.query.conversationId;
+    }
+
+    const [conversation, history] = await Promise.all([
+      Conversation.findOne(filter).sort({ createdAt: -1 }).select('-__v').lean(),
+      Conversation.find({ phoneNumber: req.params.phoneNumber })
+        .sort({ createdAt: -1 })
+        .select({ stage: 1, 'metadata.conversationStarted': 1, 'metadata.closedAt': 1, 'metadata.closedReason': 1, 'metadata.isActive': 1 })
+        .lean()
+    ]);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+    res.json({
+      success: true,
+      conversation: conversation,
+      conversations: history.map(item => ({
+        id: item._id,
+        stage: item.stage,
+        active: item.metadata?.isActive,
+        conversationStarted: item.metadata?.conversationStarted,
+        closedAt: item.metadata?.closedAt,
+        closedReason: item.metadata?.closedReason
+      }))
+    });
+  } catch (error) {
+    logger.error('Conversation details error:', error);
+    res.status(500).json({ error: 'Failed to get conversation' });
+  }
+});
+
+app.post('/conversations/:phoneNumber/messages', requireRole('operator'), [
+  body('text').optional().isString().trim().notEmpty().isLength({ max: 4096 }),
+  body('template.name').optional().isString().notEmpty(),
+  body('template.bodyParams').optional().isArray(),
+  body('template.headerParams').optional().isArray(),
+  body().custom(value => Boolean(value.text || value.template)).withMessage('text or template is required')
+], (req, res) => handleConversationChange(req, res, 'send message', async (conversation, actor) => {
+  const delivery = await sendManualMessage(conversation, { text: req.body.text, template: req.body.template }, actor);
+  return { status: delivery.status, messageId: delivery.result?.messages?.[0]?.id || delivery.item.entryId };
+}));
+
+app.patch('/conversations/:phoneNumber/user-data', requireRole('operator'), [
+  body('fields').isObject().custom(value => Object.keys(value).length > 0)
+], (req, res) => handleConversationChange(req, res, 'update user data', async (conversation, actor) => {
+  const result = await updateConversationUserData(conversation, req.body.fields, actor);
+  if (result.errors.length > 0) {
+    const error = new Error('Campos inválidos');
+    error.code = 'INVALID_FIELDS';
+    error.details = result.errors;
+    throw error;
+  }
+  return { changed: result.changed, userData: conversation.userData };
+}, { latest: true }));
+
+app.patch('/conversations/:phoneNumber/stage', requireRole('operator'), [
+  body('stage').isString().notEmpty()
+], (req, res) => handleConversationChange(req, res, 'change stage', async (conversation, actor) => {
+  const previousStage = await changeConversationStage(conversation, req.body.stage, actor);
+  return { previousStage };
+}));
+
+// Volta ao estágio inicial limpando os dados coletados
+app.post('/conversations/:phoneNumber/reset', requireRole('operator'),
+  (req, res) => handleConversationChange(req, res, 'reset conversation', async (conversation, actor) => {
+    const previousStage = await resetConversation(conversation, actor);
+    return { previousStage };
+  }));
+
+app.post('/conversations/:phoneNumber/close', requireRole('operator'), [
+  body('reason').optional().isString().isLength({ max: 500 })
+], (req, res) => handleConversationChange(req, res, 'close conversation', async (conversation, actor) => {
+  await closeConversationManually(conversation, actor, req.body.reason);
+  return { active: false };
+}));
+
+app.post('/conversations/:phoneNumber/reopen', requireRole('operator'), [
+  body('stage').optional().isString().notEmpty()
+], (req, res) => handleConversationChange(req, res, 'reopen conversation', async (conversation, actor) => {
+  await reopenConversation(conversation, actor, req.body.stage);
+  return { active: true };
+}, { latest: true }));
+
+app.patch('/conversations/:phoneNumber/tags', requireRole('operator'), [
+  body('add').optional().isArray({ max: 50 }),
+  body('remove').optional().isArray({ max: 50 }),
+  body('add.*').optional().isString().isLength({ min: 1, max: 50 }),
+  body('remove.*').optional().isString().isLength({ min: 1, max: 50 }),
+  body().custom(value => Boolean(value.add || value.remove)).withMessage('add or remove is required')
+], (req, res) => handleConversationChange(req, res, 'update tags', async (conversation, actor) => {
+  await updateConversationTags(conversation, req.body, actor);
+  return { tags: conversation.tags };
+}, { latest: true }));
+
+app.post('/conversations/:phoneNumber/appointment/complete', requireRole('operator'),
+  (req, res) => handleConversationChange(req, res, 'complete appointment', async (conversation, actor) => {
+    await completeConversationAppointment(conversation, actor);
+    return { appointmentStatus: conversation.appointment.status };
+  }, { latest: true }));
+
+app.post('/conversations/:phoneNumber/appointment/no-show', requireRole('operator'),
+  (req, res) => handleConversationChange(req, res, 'mark no-show', async (conversation, actor) => {
+    await markAppointmentNoShow(conversation, actor);
+    return { appointmentStatus: conversation.appointment.status };
+  }, { latest: true }));
+
+app.post('/conversations/:phoneNumber/pause', requireRole('operator'), [
+  body('paused').isBoolean(),
+  body('reason').optional().isString().isLength({ max: 500 })
+], (req, res) => handleConversationChange(req, res, 'pause bot', async (conversation, actor) => {
+  await setBotPaused(conversation, req.body.paused, actor, req.body.reason);
+  return { botPaused: conversation.metadata.botPaused };
+}));
+
+// Atendimento humano
+app.get('/handoffs', requireRole('viewer'), async (req, res) => {
+  try {
+    const filter = { 'handoff.active': true };
+    if (req.query.agent) filter['handoff.assignedAgent'] = req.query.agent;
+    if (req.query.unassigned === 'true') filter['handoff.assignedAgent'] = null;
+
+    const conversations = await Conversation.find(filter)
+      .sort({ 'handoff.requestedAt': 1 })
+      .limit(200)
+      .select({ phoneNumber: 1, contactName: 1, stage: 1, handoff: 1, 'userData.name': 1, 'userData.leadScore': 1, messages: { $slice: -1 } })
+      .lean();
+
+    res.json({
+      success: true,
+      count: conversations.length,
+      handoffs: conversations.map(conversation => ({
+        phoneNumber: conversation.phoneNumber,
+        name: conversation.userData?.name || conversation.contactName || null,
+        stage: conversation.stage,
+        leadScore: conversation.userData?.leadScore || 0,
+        reason: conversation.handoff.reason,
+        requestedAt: conversation.handoff.requestedAt,
+        assignedAgent: conversation.handoff.assignedAgent || null,
+        lastMessage: conversation.messages?.[0] || null
+      }))
+    });
+  } catch (error) {
+    logger.error('Handoff listing error:', error);
+    res.status(500).json({ error: 'Failed to list handoffs' });
+  }
+});
+
+app.post('/conversations/:phoneNumber/handoff', requireRole('operator'), [
+  body('agent').isString().trim().notEmpty()
+], (req, res) => handleConversationChange(req, res, 'start handoff', async (conversation, actor) => {
+  const startedNow = !conversation.handoff?.active;
+  assignHandoffAgent(conversation, req.body.agent, actor);
+  await conversation.save();
+  if (startedNow) await publishEvent(conversation, 'handoff.requested', { reason: 'MANUAL', agent: req.body.agent });
+  return { handoff: conversation.handoff };
+}));
+
+app.post('/conversations/:phoneNumber/agent-messages', requireRole('operator'), [
+  body('agent').isString().trim().notEmpty(),
+  body('text').optional().isString().trim().notEmpty().isLength({ max: 4096 }),
+  body('template.name').optional().isString().notEmpty(),
+  body().custom(value => Boolean(value.text || value.template)).withMessage('text or template is required')
+], (req, res) => handleConversationChange(req, res, 'send agent message', async (conversation, actor) => {
+  const delivery = await sendAgentMessage(conversation, { text: req.body.text, template: req.body.template }, req.body.agent, actor);
+  return { status: delivery.status, messageId: delivery.result?.messages?.[0]?.id || delivery.item.entryId };
+}));
+
+// Devolve ao bot no estágio escolhido; resume=true manda a pergunta do estágio
+app.post('/conversations/:phoneNumber/handback', requireRole('operator'), [
+  body('stage').optional().isString().notEmpty(),
+  body('resume').optional().isBoolean()
+], (req, res) => handleConversationChange(req, res, 'hand back to bot', async (conversation, actor) => {
+  await handBackToBot(conversation, req.body.stage, actor, req.body.resume === true);
+  return { botPaused: false };
+}));
+
+// Campanhas de prospecção
+app.get('/campaigns', requireRole('viewer'), async (req, res) => {
+  try {
+    const campaigns = await Campaign.find().sort({ createdAt: -1 }).limit(100).lean();
+    res.json({ success: true, campaigns });
+  } catch (error) {
+    logger.error('Campaign list error:', error);
+    res.status(500).json({ error: 'Failed to list campaigns' });
+  }
+});
 
-    logger.info(`N8N integration successful for ${conversation.phoneNumber}`);
-    return { success: true, response: response.data };
+app.get('/campaigns/:key', requireRole('viewer'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ key: req.params.key }).lean();
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
 
+    res.json({ success: true, campaign, stats: await getCampaignStats(campaign) });
   } catch (error) {
-    logger.error('N8N integration error:', error);
-    return { success: false, error: error.message };
+    logger.error('Campaign stats error:', error);
+    res.status(500).json({ error: 'Failed to get campaign' });
   }
-}
-
-// ============================================================================
-// CORE MESSAGE PROCESSING
-// ============================================================================
+});
 
-async function processIncomingMessage(phoneNumber, messageText, messageId, contactName = '') {
+app.post('/campaigns', requireRole('operator'), [
+  body('key').isString().matches(/^[a-z0-9_-]{3,50}$/),
+  body('name').isString().trim().notEmpty(),
+  body('flowKey').optional().isString().notEmpty(),
+  body('startStage').isString().notEmpty(),
+  body('template.name').isString().notEmpty(),
+  body('template.language').optional().isString(),
+  body('template.headerParams').optional().isArray(),
+  body('template.bodyParams').optional().isArray(),
+  body('template.buttonPayloads').optional().isArray({ max: 3 })
+], async (req, res) => {
   try {
-    let conversation = await Conversation.findOne({ 
-      phoneNumber: phoneNumber,
-      'metadata.isActive': true 
-    });
-
-    if (!conversation) {
-      conversation = new Conversation({
-        phoneNumber: phoneNumber,
-        contactName: contactName,
-        stage: 'INITIAL',
-        userData: {},
-        appointment: { scheduled: false, status: 'PENDING' },
-        messages: [],
-        metadata: {
-          conversationStarted: new Date(),
-          lastActivity: new Date(),
-          isActive: true
-        }
-      });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Adiciona mensagem recebida
-    conversation.messages.push({
-      timestamp: new Date(),
-      direction: 'INCOMING',
-      content: messageText,
-      messageId: messageId
+    const flow = await getActiveFlow(req.body.flowKey || process.env.DEFAULT_FLOW_KEY || DEFAULT_FLOW.key);
+    if (!flow.definition.stages[req.body.startStage] || isTerminalStage(req.body.startStage, flow.definition.stages[req.body.startStage])) {
+      return res.status(400).json({ error: `Estágio ${req.body.startStage} não existe ou é final no fluxo ${flow.key}` });
+    }
+
+    const campaign = await Campaign.create({
+      key: req.body.key,
+      name: req.body.name,
+      flowKey: flow.key,
+      startStage: req.body.startStage,
+      template: req.body.template,
+      createdBy: req.admin.name
     });
+    logger.info(`Campaign ${campaign.key} created by ${req.admin.name}`);
+    res.status(201).json({ success: true, campaign });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: 'Campaign key already exists' });
+    logger.error('Campaign create error:', error);
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
 
-    // Processa com IA
-    const aiResult = await processMessageWithAI(messageText, conversation);
+// Lista de contatos: CSV (Content-Type: text/csv; colunas phone, name, source) ou JSON { contacts: [...] }
+app.post('/campaigns/:key/contacts', requireRole('operator'), express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ key: req.params.key });
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    if (['COMPLETED', 'CANCELLED'].includes(campaign.status)) {
+      return res.status(409).json({ error: `Campaign is ${campaign.status}` });
+    }
 
-    // Atualiza dados extraídos
-    if (aiResult.extracted_data) {
-      Object.keys(aiResult.extracted_data).forEach(key => {
-        if (aiResult.extracted_data[key] && aiResult.extracted_data[key] !== 'null') {
-          if (!conversation.userData) conversation.userData = {};
-          conversation.userData[key] = aiResult.extracted_data[key];
-        }
-      });
+    const rows = typeof req.body === 'string' ? parseCsv(req.body) : req.body?.contacts;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'contacts array or CSV body is required' });
     }
 
-    // Atualiza estágio
-    if (aiResult.next_stage && aiResult.next_stage !== conversation.stage) {
-      conversation.stage = aiResult.next_stage;
+    res.json({ success: true, ...(await addCampaignContacts(campaign, rows)) });
+  } catch (error) {
+    logger.error('Campaign contacts error:', error);
+    res.status(500).json({ error: 'Failed to add contacts' });
+  }
+});
+
+// Inicia, pausa ou cancela ({ "status": "RUNNING" | "PAUSED" | "CANCELLED" })
+app.post('/campaigns/:key/status', requireRole('operator'), [
+  body('status').isIn(['RUNNING', 'PAUSED', 'CANCELLED'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Calcula lead score
-    conversation.userData.leadScore = calculateLeadScore(conversation);
-
-    let finalResponse = aiResult.response;
-
-    // Lógica de agendamento
-    if (aiResult.needs_calendar_slots && conversation.stage === 'OFERECER_AGENDAMENTOS') {
-      const availableSlots = await getAvailableSlots();
-      
-      if (availableSlots.length > 0) {
-        finalResponse += '\n\nHorários disponíveis:\n' + 
-          availableSlots.map((slot, index) => `${index + 1}. ${slot.display}`).join('\n') +
-          '\n\nDigite o número da opção (ex: 1, 2, 3...)';
-      }
-    }
-
-    // Agendar reunião
-    if (aiResult.schedule_meeting || (conversation.stage === 'OFERECER_AGENDAMENTOS' && aiResult.extracted_data.selected_slot)) {
-      const slotIndex = parseInt(messageText.trim()) - 1;
-      const availableSlots = await getAvailableSlots();
-      
-      if (slotIndex >= 0 && slotIndex < availableSlots.length) {
-        const selectedSlot = availableSlots[slotIndex];
-        const schedulingResult = await scheduleGoogleCalendarEvent(conversation, selectedSlot.datetime);
-        
-        if (schedulingResult.success) {
-          conversation.appointment = {
-            scheduled: true,
-            eventId: schedulingResult.eventId,
-            meetLink: schedulingResult.meetLink,
-            scheduledDate: new Date(selectedSlot.datetime),
-            status: 'CONFIRMED'
-          };
-          
-          conversation.stage = 'AGENDAMENTO_CONFIRMADO';
-          
-          finalResponse = `✅ Reunião agendada para ${selectedSlot.display}!\n\n` +
-            `📧 Você receberá um convite por email com o link do Google Meet.\n\n` +
-            `📅 Link: ${schedulingResult.meetLink}\n\nAté lá! 😊`;
-        }
-      }
+    const allowedFrom = {
+      RUNNING: ['DRAFT', 'PAUSED'],
+      PAUSED: ['RUNNING'],
+      CANCELLED: ['DRAFT', 'RUNNING', 'PAUSED']
+    }[req.body.status];
+    const update = { $set: { status: req.body.status } };
+    // Retomar depois de pausa mantém a data do primeiro início
+    if (req.body.status === 'RUNNING') update.$min = { startedAt: new Date() };
+
+    const campaign = await Campaign.findOneAndUpdate(
+      { key: req.params.key, status: { $in: allowedFrom } },
+      update,
+      { new: true }
+    );
+    if (!campaign) {
+      const exists = await Campaign.exists({ key: req.params.key });
+      return res.status(exists ? 409 : 404).json({ error: exists ? 'Invalid status transition' : 'Campaign not found' });
     }
 
-    // Adiciona resposta
-    conversation.messages.push({
-      timestamp: new Date(),
-      direction: 'OUTGOING',
-      content: finalResponse,
-      messageId: uuidv4()
-    });
+    logger.info(`Campaign ${campaign.key} ${campaign.status} by ${req.admin.name}`);
+    res.json({ success: true, campaign });
+  } catch (error) {
+    logger.error('Campaign status error:', error);
+    res.status(500).json({ error: 'Failed to change campaign status' });
+  }
+});
 
-    conversation.metadata.lastActivity = new Date();
-    await conversation.save();
+// Exportação / importação de leads (?format=csv|json&fields=name,email,extra.segmento)
+app.get('/exports/leads', requireRole('operator'), async (req, res) => {
+  try {
+    const search = buildConversationSearch(req.query);
+    if (!search) return res.status(400).json({ error: 'Invalid filters' });
+    const { fields, unknown } = resolveExportFields(req.query.fields, LEAD_EXPORT_FIELDS, true);
+    if (unknown) return res.status(400).json({ error: 'Unknown fields', fields: unknown });
 
-    // Envia resposta via WhatsApp
-    await sendWhatsAppMessage(phoneNumber, finalResponse);
+    logger.info(`Lead export by ${req.admin.name}`);
+    await streamExport(res, {
+      cursor: Conversation.find(search.filter).sort(search.sort).select('-messages -auditLog -stageHistory').lean().cursor(),
+      fields,
+      catalog: LEAD_EXPORT_FIELDS,
+      format: req.query.format,
+      filename: `leads-${moment().format('YYYYMMDD')}`
+    });
+  } catch (error) {
+    logger.error('Lead export error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to export leads' });
+  }
+});
 
-    // Integração N8N
-    try {
-      const n8nResult = await sendToN8N(conversation);
-      conversation.n8nData = {
-        sent: n8nResult.success,
-        lastSent: new Date()
-      };
-      await conversation.save();
-    } catch (n8nError) {
-      logger.error('N8N integration failed:', n8nError.message);
+// Reuniões pela data marcada (?from=&to=&status=CONFIRMED,COMPLETED&campaign=)
+app.get('/exports/appointments', requireRole('operator'), async (req, res) => {
+  try {
+    const filter = { 'appointment.scheduledDate': { $ne: null } };
+    if (req.query.from) filter['appointment.scheduledDate'].$gte = new Date(req.query.from);
+    if (req.query.to) filter['appointment.scheduledDate'].$lte = new Date(req.query.to);
+    if (Object.values(filter['appointment.scheduledDate']).some(date => date instanceof Date && isNaN(date.getTime()))) {
+      return res.status(400).json({ error: 'Invalid date range' });
     }
+    if (req.query.status) filter['appointment.status'] = { $in: parseListParam(req.query.status) };
+    if (req.query.campaign) filter['attribution.campaign'] = req.query.campaign === 'organic' ? null : req.query.campaign;
 
-    return {
-      success: true,
-      stage: conversation.stage,
-      appointmentScheduled: conversation.appointment?.scheduled || false
-    };
+    const { fields, unknown } = resolveExportFields(req.query.fields, APPOINTMENT_EXPORT_FIELDS);
+    if (unknown) return res.status(400).json({ error: 'Unknown fields', fields: unknown });
 
+    logger.info(`Appointment export by ${req.admin.name}`);
+    await streamExport(res, {
+      cursor: Conversation.find(filter).sort({ 'appointment.scheduledDate': 1 }).select('-messages -auditLog -stageHistory').lean().cursor(),
+      fields,
+      catalog: APPOINTMENT_EXPORT_FIELDS,
+      format: req.query.format,
+      filename: `appointments-${moment().format('YYYYMMDD')}`
+    });
   } catch (error) {
-    logger.error('Message processing error:', error);
-    
-    try {
-      await sendWhatsAppMessage(phoneNumber, 'Desculpe, tive um problema técnico. Pode tentar novamente?');
-    } catch (sendError) {
-      logger.error('Failed to send error message:', sendError);
-    }
-
-    return { success: false, error: error.message };
+    logger.error('Appointment export error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to export appointments' });
   }
-}
-
-function calculateLeadScore(conversation) {
-  let score = 0;
-  const userData = conversation.userData || {};
-  
-  if (userData.name) score += 20;
-  if (userData.function) score += 20;  
-  if (userData.email) score += 20;
-  
-  const messageCount = conversation.messages?.filter(m => m.direction === 'INCOMING').length || 0;
-  score += Math.min(messageCount * 3, 25);
-  
-  const stageScores = {
-    'INITIAL': 1, 'SOLICITAR_NOME': 3, 'SOLICITAR_FUNCAO': 6,
-    'SOLICITAR_EMAIL': 10, 'OFERECER_AGENDAMENTOS': 12,
-    'AGENDAMENTO_CONFIRMADO': 15, 'COMPLETED': 15
-  };
-  score += stageScores[conversation.stage] || 0;
-  
-  if (conversation.appointment?.scheduled) score += 15;
-  
-  return Math.min(score, 100);
-}
-
-// ============================================================================
-// API ENDPOINTS
-// ============================================================================
+});
 
-app.get('/health', async (req, res) => {
+// Corpo JSON ({ "leads": [...] }) ou CSV (Content-Type: text/csv) com coluna phoneNumber
+app.post('/imports/leads', requireRole('operator'), express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
   try {
-    const health = {
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      version: '2.1.0',
-      services: {}
-    };
-
-    // Testa MongoDB
-    try {
-      await mongoose.connection.db.admin().ping();
-      health.services.mongodb = 'connected';
-    } catch (e) {
-      health.services.mongodb = 'disconnected';
+    const rows = typeof req.body === 'string' ? parseCsv(req.body) : req.body?.leads;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'leads array or CSV body is required' });
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(413).json({ error: `Import limited to ${IMPORT_MAX_ROWS} leads per request` });
     }
 
-    health.services.googleAI = process.env.AI_API_KEY ? 'configured' : 'not_configured';
-    health.services.whatsapp = process.env.WHATSAPP_ACCESS_TOKEN ? 'configured' : 'not_configured';
-    health.services.google_calendar = process.env.GOOGLE_CLIENT_ID ? 'configured' : 'not_configured';
-
-    res.json(health);
+    const summary = await importLeads(rows, getActor(req));
+    res.json({ success: summary.failed.length === 0, total: rows.length, ...summary });
   } catch (error) {
-    res.status(503).json({ status: 'unhealthy', error: error.message });
+    logger.error('Lead import error:', error);
+    res.status(500).json({ error: 'Failed to import leads' });
   }
 });
 
-// Webhook verification
-app.get('/webhook', (req, res) => {
-  const mode = req.query['hub.mode'];
-  const token = req.query['hub.verify_token'];
-  const challenge = req.query['hub.challenge'];
+// Backup da coleção de conversas
+app.get('/backups', requireRole('admin'), async (req, res) => {
+  try {
+    const { dir, webhookUrl } = getBackupConfig();
+    res.json({ success: true, dir, webhook: Boolean(webhookUrl), backups: await listBackups() });
+  } catch (error) {
+    logger.error('Backup list error:', error);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
 
-  if (mode === 'subscribe' && token === process.env.WHATSAPP_VERIFY_TOKEN) {
-    logger.info('Webhook verified successfully');
-    res.status(200).send(challenge);
-  } else {
-    res.status(403).send('Forbidden');
+app.post('/backups', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await createBackup()) });
+  } catch (error) {
+    logger.error('Backup error:', error);
+    res.status(500).json({ error: 'Failed to create backup' });
   }
 });
 
-// Webhook message receiver
-app.post('/webhook', [body('entry').isArray().notEmpty()], async (req, res) => {
+app.post('/backups/restore', requireRole('admin'), [body('file').isString().notEmpty()], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { entry } = req.body;
-    res.status(200).json({ status: 'received' });
-
-    // Processa mensagens em background
-    for (const entryItem of entry) {
-      if (!entryItem.changes) continue;
-
-      for (const change of entryItem.changes) {
-        if (change.field !== 'messages') continue;
-
-        const { messages, contacts } = change.value;
-        if (!messages) continue;
-
-        for (const message of messages) {
-          if (message.type !== 'text') continue;
-
-          const phoneNumber = message.from;
-          const messageText = message.text.body;
-          const messageId = message.id;
-          const contact = contacts?.find(c => c.wa_id === phoneNumber);
-          const contactName = contact?.profile?.name || '';
+    const filePath = resolveBackupFile(req.body.file);
+    if (!filePath || !fs.existsSync(filePath)) return res.status(404).json({ error: 'Backup not found' });
 
-          logger.info(`New message from ${phoneNumber}: ${messageText.substring(0, 50)}...`);
+    logger.warn(`Backup restore requested by ${req.admin.name}: ${req.body.file}`);
+    res.json({ success: true, ...(await restoreBackup(filePath)) });
+  } catch (error) {
+    logger.error('Backup restore error:', error);
+    res.status(500).json({ error: 'Failed to restore backup' });
+  }
+});
 
-          // Processa mensagem
-          setImmediate(async () => {
-            try {
-              await processIncomingMessage(phoneNumber, messageText, messageId, contactName);
-            } catch (error) {
-              logger.error('Background processing error:', error);
-            }
-          });
-        }
-      }
+// LGPD: acesso e eliminação de tudo que existe sobre um número
+app.get('/privacy/:phoneNumber', requireRole('admin'), async (req, res) => {
+  try {
+    const data = await exportPhoneData(req.params.phoneNumber);
+    if (data.conversations.length === 0 && data.campaignContacts.length === 0) {
+      return res.status(404).json({ error: 'No data found for this phone number' });
     }
 
+    logger.info(`Personal data for ${req.params.phoneNumber} exported by ${req.admin.name}`);
+    res.attachment(`dados-${req.params.phoneNumber}.json`).json(data);
   } catch (error) {
-    logger.error('Webhook processing error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Personal data export error:', error);
+    res.status(500).json({ error: 'Failed to export personal data' });
   }
 });
 
-// Google Calendar Auth
-app.get('/auth/google', (req, res) => {
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: ['https://www.googleapis.com/auth/calendar']
-  });
-  res.redirect(authUrl);
+app.delete('/privacy/:phoneNumber', requireRole('admin'), async (req, res) => {
+  try {
+    const erased = await erasePhoneData(req.params.phoneNumber, getActor(req));
+    if (!erased) return res.status(404).json({ error: 'No data found for this phone number' });
+
+    res.json({ success: true, erased });
+  } catch (error) {
+    if (error.code === 'CONVERSATION_BUSY') return res.status(409).json({ error: error.message, code: error.code });
+    if (error.code === 'PRIVACY_NOT_CONFIGURED') return res.status(503).json({ error: error.message, code: error.code });
+    logger.error('Personal data erasure error:', error);
+    res.status(500).json({ error: 'Failed to erase personal data' });
+  }
 });
 
-app.get('/auth/google/callback', async (req, res) => {
-  const { code } = req.query;
-  
+// Outbox: pendências e dead-letter (padrão: DEAD)
+app.get('/outbox', requireRole('viewer'), async (req, res) => {
   try {
-    const { tokens } = await oauth2Client.getToken(code);
+    const filter = { status: req.query.status || 'DEAD' };
+    if (req.query.channel) filter.channel = req.query.channel;
+    if (req.query.phoneNumber) filter.phoneNumber = req.query.phoneNumber;
+
+    const [items, counts] = await Promise.all([
+      OutboxMessage.find(filter)
+        .sort({ updatedAt: -1 })
+        .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+        .select('-payload.body')
+        .lean(),
+      OutboxMessage.aggregate([
+        { $match: { status: { $in: ['PENDING', 'PROCESSING', 'DEAD'] } } },
+        { $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
     res.json({
       success: true,
-      message: 'Configure these tokens:',
-      tokens: {
-        GOOGLE_REFRESH_TOKEN: tokens.refresh_token,
-        GOOGLE_ACCESS_TOKEN: tokens.access_token
-      }
+      counts: counts.map(item => ({ ...item._id, count: item.count })),
+      items: items
     });
   } catch (error) {
-    res.status(500).json({ error: 'OAuth failed' });
+    logger.error('Outbox listing error:', error);
+    res.status(500).json({ error: 'Failed to list outbox' });
   }
 });
 
-// Available slots
-app.get('/calendar/available-slots', async (req, res) => {
+// Reenvio manual de item em dead-letter (ou pendente) com tentativas zeradas
+app.post('/outbox/:id/replay', requireRole('operator'), async (req, res) => {
   try {
-    const slots = await getAvailableSlots();
-    res.json({ success: true, slots });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Outbox item not found' });
+
+    const item = await OutboxMessage.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['DEAD', 'PENDING'] } },
+      {
+        $set: { status: 'PROCESSING', attempts: 0, lockedAt: new Date() },
+        $push: { replays: { replayedBy: req.admin.name } }
+      },
+      { new: true }
+    );
+    if (!item) return res.status(404).json({ error: 'Outbox item not found or already processing/sent' });
+    if (item.channel === 'WHATSAPP' && await isPhoneOptedOut(item.phoneNumber)) {
+      await OutboxMessage.updateOne({ _id: item._id }, { $set: { status: 'DEAD' }, $unset: { lockedAt: 1 } });
+      return res.status(409).json({ error: 'Lead opted out of messages', code: 'OPTED_OUT' });
+    }
+
+    logger.info(`Outbox ${item.channel} ${item._id} replayed by ${req.admin.name}`);
+    const delivery = await deliverOutboxMessage(item);
+
+    res.status(delivery.status === 'SENT' ? 200 : 502).json({
+      success: delivery.status === 'SENT',
+      status: delivery.status,
+      ...(delivery.error && { error: delivery.error.message })
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get slots' });
+    logger.error('Outbox replay error:', error);
+    res.status(500).json({ error: 'Failed to replay outbox item' });
   }
 });
 
 // Test N8N
-app.post('/test-n8n', async (req, res) => {
+app.post('/test-n8n', requireRole('admin'), async (req, res) => {
   try {
-    const testData = {
+    const subscribers = getEventSubscribers();
+    if (subscribers.length === 0) {
+      return res.status(400).json({ success: false, error: 'No subscribers configured (N8N_SUBSCRIBERS or N8N_WEBHOOK_URL)' });
+    }
+
+    // Evento de teste assinado, enviado direto (sem outbox) a todos os assinantes
+    const testConversation = {
       phoneNumber: '+5511999999999',
       contactName: 'Teste N8N',
-      currentStage: 'COMPLETED',
-      normalizedData: {
-        nome: 'João Teste',
-        funcao: 'Desenvolvedor',
-        email: 'teste@exemplo.com',
-        telefone: '+5511999999999'
-      }
+      stage: 'COMPLETED',
+      userData: { name: 'João Teste', function: 'Desenvolvedor', email: 'teste@exemplo.com', revenue: '50K_200K' }
     };
+    const body = JSON.stringify(buildEventPayload(testConversation, 'test.ping'));
 
-    const n8nUrl = process.env.N8N_WEBHOOK_URL;
-    const response = await axios.post(n8nUrl, testData, {
-      headers: { 'Content-Type': 'application/json' }
-    });
+    const results = [];
+    for (const subscriber of subscribers) {
+      try {
+        await postEventToSubscriber({ event: 'test.ping', payload: { subscriber: subscriber.name, url: subscriber.url, body } });
+        results.push({ subscriber: subscriber.name, success: true, signed: !!subscriber.secret });
+      } catch (error) {
+        results.push({ subscriber: subscriber.name, success: false, error: error.message });
+      }
+    }
 
-    res.json({ success: true, n8nResponse: response.data });
+    res.json({ success: results.every(result => result.success), results });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Monitor dashboard
-app.get('/monitor', (req, res) => {
+// Dashboard: métricas do funil (?from=&to=&campaign=&flowKey=)
+app.get('/dashboard/metrics', requireRole('viewer'), async (req, res) => {
+  try {
+    const filters = parseDashboardFilters(req.query);
+    if (!filters) return res.status(400).json({ error: 'Invalid date range' });
+
+    res.json({
+      success: true,
+      period: { from: filters.from, to: filters.to },
+      campaign: filters.campaign,
+      ...(await getDashboardMetrics(filters))
+    });
+  } catch (error) {
+    logger.error('Dashboard metrics error:', error);
+    res.status(500).json({ error: 'Failed to get dashboard metrics' });
+  }
+});
+
+app.get('/dashboard/campaigns', requireRole('viewer'), async (req, res) => {
+  try {
+    const campaigns = await Conversation.aggregate([
+      { $match: { 'attribution.campaign': { $ne: null } } },
+      {
+        $group: {
+          _id: '$attribution.campaign',
+          source: { $first: '$attribution.source' },
+          conversations: { $sum: 1 },
+          lastStarted: { $max: '$metadata.conversationStarted' }
+        }
+      },
+      { $sort: { lastStarted: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      campaigns: campaigns.map(item => ({
+        campaign: item._id,
+        source: item.source,
+        conversations: item.conversations,
+        lastStarted: item.lastStarted
+      }))
+    });
+  } catch (error) {
+    logger.error('Dashboard campaigns error:', error);
+    res.status(500).json({ error: 'Failed to list campaigns' });
+  }
+});
+
+// Página do dashboard: não traz dados, pede a chave e consulta /dashboard/metrics
+app.get('/dashboard', (req, res) => {
   const html = `<!DOCTYPE html>
-<html>
+<html lang="pt-BR">
 <head>
-    <title>SDR WhatsApp Monitor</title>
+    <meta charset="utf-8">
+    <title>SDR WhatsApp - Dashboard</title>
     <style>
-        body { font-family: Arial; background: linear-gradient(135deg, #667eea, #764ba2); color: white; padding: 20px; }
-        .card { background: rgba(255,255,255,0.9); color: #333; padding: 20px; border-radius: 10px; margin: 10px; }
-        .metric { text-align: center; }
-        .metric h2 { font-size: 2rem; margin: 0; }
+        body { font-family: Arial, sans-serif; background: #f4f5f7; color: #333; margin: 0; padding: 20px; }
+        h1 { margin-top: 0; }
+        form, .card { background: white; padding: 16px; border-radius: 8px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+        form label { margin-right: 12px; }
+        .kpis { display: flex; flex-wrap: wrap; gap: 16px; margin-bottom: 16px; }
+        .kpi { flex: 1; min-width: 160px; background: white; padding: 16px; border-radius: 8px; text-align: center; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+        .kpi strong { display: block; font-size: 1.8rem; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+        .bar { background: #667eea; height: 12px; border-radius: 3px; }
+        #error { color: #c0392b; }
     </style>
 </head>
 <body>
-    <h1>📅 SDR WhatsApp + Agendamento Automático</h1>
+    <h1>📊 SDR WhatsApp - Dashboard</h1>
+    <form id="filters">
+        <label>Chave de API <input type="password" id="apiKey" required></label>
+        <label>De <input type="date" id="from"></label>
+        <label>Até <input type="date" id="to"></label>
+        <label>Campanha <select id="campaign"><option value="">Todas</option><option value="organic">Orgânico</option></select></label>
+        <button type="submit">Atualizar</button>
+        <span id="error"></span>
+    </form>
+    <div class="kpis" id="kpis"></div>
+    <div class="card"><h2>Funil</h2><table id="funnel"></table></div>
+    <div class="card"><h2>Reuniões por dia</h2><table id="appointments"></table></div>
+    <div class="card"><h2>Lead score</h2><table id="scores"></table></div>
     <div class="card">
-        <div class="metric">
-            <h2>Sistema Funcionando</h2>
-            <p>N8N + OpenAI + MongoDB + Google Calendar</p>
-            <p><a href="/health">Health Check</a> | <a href="/auth/google">Config Google</a></p>
-        </div>
+        <h2>Conversas</h2>
+        <form id="search">
+            <input id="q" placeholder="Telefone, nome ou email">
+            <input id="tag" placeholder="Tag">
+            <button type="submit">Buscar</button>
+            <span id="pages"></span>
+            <button type="button" id="prev">‹</button><button type="button" id="next">›</button>
+        </form>
+        <table id="conversations"></table>
     </div>
+    <div class="card" id="transcriptCard" hidden><h2 id="transcriptTitle"></h2><table id="transcript"></table></div>
+    <script src="/dashboard/app.js"></script>
 </body>
 </html>`;
   res.send(html);
 });
 
+// Script da página (fora do HTML por causa da CSP do helmet)
+app.get('/dashboard/app.js', (req, res) => {
+  res.type('application/javascript').send(`const $ = id => document.getElementById(id);
+const pct = value => (value * 100).toFixed(1) + '%';
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');
+const rows = (head, items) => '<tr>' + head.map(h => '<th>' + h + '</th>').join('') + '</tr>' +
+    items.map(cells => '<tr>' + cells.map(c => '<td>' + c + '</td>').join('') + '</tr>').join('');
+const bar = (value, max) => '<div class="bar" style="width:' + (max ? Math.round(value / max * 100) : 0) + '%"></div>';
+
+async function api(path) {
+    const response = await fetch(path, { headers: { Authorization: 'Bearer ' + $('apiKey').value } });
+    if (!response.ok) throw new Error(response.status === 401 || response.status === 403 ? 'Chave inválida' : 'Erro ' + response.status);
+    return response.json();
+}
+
+async function loadCampaigns() {
+    const { campaigns } = await api('/dashboard/campaigns');
+    $('campaign').innerHTML = '<option value="">Todas</option><option value="organic">Orgânico</option>' +
+        campaigns.map(c => '<option value="' + escapeHtml(c.campaign) + '">' + escapeHtml(c.campaign) + ' (' + c.conversations + ')</option>').join('');
+}
+
+async function load() {
+    const params = new URLSearchParams();
+    if ($('from').value) params.set('from', $('from').value);
+    if ($('to').value) params.set('to', $('to').value);
+    if ($('campaign').value) params.set('campaign', $('campaign').value);
+    const data = await api('/dashboard/metrics?' + params);
+
+    $('kpis').innerHTML = [
+        ['Conversas', data.funnel.total],
+        ['Qualificados', data.qualification.qualified + ' (' + pct(data.qualification.qualificationRate) + ')'],
+        ['Mediana até qualificar', data.qualification.medianMinutesToQualify === null ? '-' : data.qualification.medianMinutesToQualify + ' min'],
+        ['Reuniões marcadas', data.appointments.totals.booked],
+        ['Comparecimento', pct(data.appointments.totals.showRate)],
+        ['Erros da IA', pct(data.ai.errorRate) + ' de ' + data.ai.turns]
+    ].map(([label, value]) => '<div class="kpi"><strong>' + value + '</strong>' + label + '</div>').join('');
+
+    const top = data.funnel.total;
+    $('funnel').innerHTML = rows(['Estágio', 'Chegaram', '', 'Parados', 'Perda p/ próximo'],
+        data.funnel.stages.map(s => [escapeHtml(s.stage), s.reached, bar(s.reached, top), s.current, s.dropOffRate === null ? '-' : pct(s.dropOffRate)]));
+
+    $('appointments').innerHTML = rows(['Dia', 'Marcadas', 'Realizadas', 'No-show', 'Em revisão', 'Canceladas'],
+        data.appointments.perDay.map(d => [d.date, d.booked, d.completed, d.noShow, d.pendingReview, d.cancelled]));
+
+    const maxBucket = Math.max(0, ...data.leadScores.distribution.map(b => b.count));
+    $('scores').innerHTML = rows(['Faixa', 'Leads', ''],
+        data.leadScores.distribution.map(b => [b.range, b.count, bar(b.count, maxBucket)])) +
+        '<tr><td>Média</td><td>' + (data.leadScores.average ?? '-') + '</td><td></td></tr>';
+}
+
+let page = 1;
+let pages = 1;
+
+async function loadConversations() {
+    const params = new URLSearchParams({ page: page, limit: 20 });
+    if ($('q').value) params.set('q', $('q').value);
+    if ($('tag').value) params.set('tag', $('tag').value);
+    if ($('campaign').value) params.set('campaign', $('campaign').value);
+    const data = await api('/conversations?' + params);
+
+    pages = Math.max(data.pages, 1);
+    $('pages').textContent = 'Página ' + data.page + ' de ' + pages + ' (' + data.total + ')';
+    $('conversations').innerHTML = rows(['Telefone', 'Nome', 'Estágio', 'Score', 'Tags', 'Última atividade'],
+        data.conversations.map(c => [
+            '<a href="#" data-phone="' + escapeHtml(c.phoneNumber) + '">' + escapeHtml(c.phoneNumber) + '</a>',
+            escapeHtml(c.name || '-'), escapeHtml(c.stage) + (c.active ? '' : ' (encerrada)'), c.leadScore,
+            escapeHtml(c.tags.join(', ')), new Date(c.lastActivity).toLocaleString('pt-BR')
+        ]));
+}
+
+async function showTranscript(phone) {
+    const { conversation } = await api('/conversations/' + encodeURIComponent(phone));
+    $('transcriptTitle').textContent = phone + ' - ' + (conversation.userData?.name || conversation.contactName || '');
+    $('transcript').innerHTML = rows(['Quando', '', 'Mensagem', 'Status'],
+        conversation.messages.map(m => [
+            new Date(m.timestamp).toLocaleString('pt-BR'),
+            m.direction === 'INCOMING' ? '👤' : (m.sentBy ? '🧑‍💼 ' + escapeHtml(m.sentBy) : '🤖'),
+            escapeHtml(m.content || ''),
+            escapeHtml(m.status || '') + (m.error?.title ? ' - ' + escapeHtml(m.error.title) : '')
+        ]));
+    $('transcriptCard').hidden = false;
+}
+
+$('search').addEventListener('submit', event => {
+    event.preventDefault();
+    page = 1;
+    loadConversations().catch(error => { $('error').textContent = error.message; });
+});
+$('prev').addEventListener('click', () => {
+    if (page > 1) page--;
+    loadConversations().catch(error => { $('error').textContent = error.message; });
+});
+$('next').addEventListener('click', () => {
+    if (page >= pages) return;
+    page++;
+    loadConversations().catch(error => { $('error').textContent = error.message; });
+});
+$('conversations').addEventListener('click', event => {
+    const phone = event.target.dataset?.phone;
+    if (!phone) return;
+    event.preventDefault();
+    showTranscript(phone).catch(error => { $('error').textContent = error.message; });
+});
+
+$('apiKey').value = sessionStorage.getItem('dashboardKey') || '';
+$('filters').addEventListener('submit', async event => {
+    event.preventDefault();
+    $('error').textContent = '';
+    sessionStorage.setItem('dashboardKey', $('apiKey').value);
+    try {
+        if ($('campaign').options.length <= 2) await loadCampaigns();
+        await load();
+        await loadConversations();
+    } catch (error) {
+        $('error').textContent = error.message;
+    }
+});
+if ($('apiKey').value) $('filters').requestSubmit();`);
+});
+
+// Endereço antigo do monitor
+app.get('/monitor', (req, res) => res.redirect(301, '/dashboard'));
+
 // ============================================================================
 // SERVER INITIALIZATION
 // ============================================================================
@@ -728,17 +6933,26 @@ app.get('/monitor', (req, res) => {
 async function startServer() {
   try {
     await connectMongoDB();
+    await seedDefaultFlow();
+    await loadGoogleCredentials();
+
+    if (getAdminApiKeys().length === 0) {
+      logger.warn('ADMIN_API_KEYS not configured: admin endpoints will reject every request');
+    }
     
+    const scheduledTasks = startScheduler();
+
     const server = app.listen(PORT, '0.0.0.0', () => {
       logger.info(`🚀 SDR WhatsApp Server running on port ${PORT}`);
       logger.info(`🔗 Webhook: ${process.env.BASE_URL || `http://localhost:${PORT}`}/webhook`);
       logger.info(`📅 Calendar Auth: ${process.env.BASE_URL || `http://localhost:${PORT}`}/auth/google`);
-      logger.info(`📊 Monitor: ${process.env.BASE_URL || `http://localhost:${PORT}`}/monitor`);
+      logger.info(`📊 Dashboard: ${process.env.BASE_URL || `http://localhost:${PORT}`}/dashboard`);
       logger.info(`💚 Health: ${process.env.BASE_URL || `http://localhost:${PORT}`}/health`);
     });
 
     const shutdown = async (signal) => {
       logger.info(`${signal} received, shutting down...`);
+      scheduledTasks.forEach(task => task.stop());
       server.close(async () => {
         try {
           await mongoose.connection.close();
@@ -758,6 +6972,48 @@ async function startServer() {
   }
 }
 
+// ============================================================================
+// CLI COMMANDS
+// ============================================================================
+
+// Comandos do package.json (npm run backup, test:ai...): conectam, executam e encerram
+async function runCommand(name, command) {
+  try {
+    if (mongoose.connection.readyState !== 1) await connectMongoDB();
+    const result = await command();
+    logger.info(`${name} finished: ${JSON.stringify(result)}`);
+    return result;
+  } catch (error) {
+    logger.error(`${name} failed:`, error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Manda uma mensagem de teste para a IA no estágio inicial do fluxo padrão
+async function testAI() {
+  const flow = await getActiveFlow(process.env.DEFAULT_FLOW_KEY || DEFAULT_FLOW.key);
+  const conversation = new Conversation({
+    phoneNumber: 'test',
+    stage: flow.definition.initialStage,
+    flow: { key: flow.key, version: flow.version },
+    messages: []
+  });
+
+  const result = await processMessageWithAI('Oi, tudo bem? Meu nome é João Silva', conversation, flow);
+  if (result.intent === 'fallback') throw new Error('AI unavailable: fallback response returned (check AI_API_KEY and logs)');
+  return { intent: result.intent, confidence: result.confidence, nextStage: result.next_stage, response: result.response };
+}
+
+async function testCalendar() {
+  if (!oauth2Client) throw new Error('Google Calendar credentials not configured');
+  await loadGoogleCredentials();
+
+  const slots = await getAvailableSlots(7);
+  return { availableSlots: slots.length, next: slots.slice(0, 3).map(slot => slot.display) };
+}
+
 process.on('unhandledRejection', (reason) => {
   logger.error('Unhandled Rejection:', reason);
 });
@@ -767,4 +7023,44 @@ process.on('uncaughtException', (error) => {
   process.exit(1);
 });
 
-startServer();
+module.exports = {
+  app,
+  startServer,
+  createBackup: () => runCommand('Backup', createBackup),
+  restoreBackup: (filePath) => runCommand('Restore', () => restoreBackup(filePath && path.resolve(filePath))),
+  testAI: () => runCommand('AI test', testAI),
+  testCalendar: () => runCommand('Calendar test', testCalendar),
+  // Usados pelos testes (test/), com stubs da Calendar API e dos models
+  Conversation,
+  SlotReservation,
+  ErasureTombstone,
+  ConversationLock,
+  InboundMessage,
+  OutboxMessage,
+  CampaignContact,
+  OAuthToken,
+  saveGoogleTokens,
+  loadGoogleCredentials,
+  getAvailableSlots,
+  bookSelectedSlot,
+  processFinishedAppointments,
+  normalizeRevenue,
+  processConversationTurn,
+  DEFAULT_FLOW,
+  erasePhoneData,
+  restoreBackupFile: restoreBackup,
+  applyRetentionPolicy,
+  processIncomingMessage,
+  withConversationLock,
+  sendInactivityFollowUps,
+  sendAppointmentReminders,
+  detectAppointmentIntent,
+  parseSlotPreference,
+  sendWhatsAppMessage,
+  setTranscriptionHook,
+  getInboundMessageText
+};
+
+if (require.main === module) {
+  startServer();
+}
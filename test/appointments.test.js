@@ -0,0 +1,157 @@
+const sdr = require('../index');
+
+describe('reuniões que já passaram', () => {
+  let lockBusy;
+
+  beforeEach(() => {
+    lockBusy = false;
+    jest.spyOn(sdr.ConversationLock, 'findOneAndUpdate').mockImplementation(async () => {
+      if (lockBusy) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    jest.spyOn(sdr.ConversationLock, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(sdr.InboundMessage, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  function buildFinished(index = 0, appointment = {}) {
+    return new sdr.Conversation({
+      phoneNumber: `551199999000${index}`,
+      stage: 'AGENDAMENTO_CONFIRMADO',
+      appointment: {
+        scheduled: true,
+        status: 'CONFIRMED',
+        scheduledDate: new Date(Date.now() - 3 * 60 * 60 * 1000),
+        eventId: `evt${index}`,
+        ...appointment
+      }
+    });
+  }
+
+  test('sem evidência de falta a reunião fica em revisão, mesmo sem SIM ao lembrete', async () => {
+    const conversations = [
+      buildFinished(0),
+      buildFinished(1, { reminders: { attendanceConfirmedAt: new Date() } })
+    ];
+    jest.spyOn(sdr.Conversation, 'find').mockResolvedValue(conversations);
+    const updateOne = jest.spyOn(sdr.Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await sdr.processFinishedAppointments();
+
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    updateOne.mock.calls.forEach(([filter, update]) => {
+      expect(filter['appointment.status']).toBe('CONFIRMED');
+      expect(update).toEqual({ $set: { 'appointment.status': 'PENDING_REVIEW' } });
+    });
+    expect(conversations.map(conversation => conversation.stage)).toEqual(['AGENDAMENTO_CONFIRMADO', 'AGENDAMENTO_CONFIRMADO']);
+  });
+
+  test('conversa em atendimento fica para a próxima execução', async () => {
+    lockBusy = true;
+    jest.spyOn(sdr.Conversation, 'find').mockResolvedValue([buildFinished()]);
+    const updateOne = jest.spyOn(sdr.Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await sdr.processFinishedAppointments();
+
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('pedidos sobre a reunião marcada', () => {
+  const conversation = new sdr.Conversation({
+    phoneNumber: '5511999990001',
+    appointment: { scheduled: true, status: 'CONFIRMED', scheduledDate: new Date(Date.now() + 48 * 60 * 60 * 1000) }
+  });
+
+  test.each([
+    'Preciso remarcar',
+    'dá para mudar o horário?',
+    'pode ser outro dia para a reunião?',
+    'outro dia',
+    'REMARCAR'
+  ])('remarcação: %s', text => {
+    expect(sdr.detectAppointmentIntent(text, conversation)).toBe('RESCHEDULE');
+  });
+
+  test.each([
+    'falo com você outro dia',
+    'outro dia vi um anúncio de vocês',
+    'te mando o material em outro horário'
+  ])('conversa casual não remarca: %s', text => {
+    expect(sdr.detectAppointmentIntent(text, conversation)).toBeNull();
+  });
+});
+
+describe('lembretes', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  beforeEach(() => {
+    jest.spyOn(sdr.ConversationLock, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(sdr.ConversationLock, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(sdr.InboundMessage, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // Só a janela de 24h tem candidato
+  function stubCandidate(appointment) {
+    const conversation = new sdr.Conversation({
+      phoneNumber: '5511999990001',
+      stage: 'AGENDAMENTO_CONFIRMADO',
+      appointment: { scheduled: true, status: 'CONFIRMED', scheduledDate: new Date(Date.now() + 20 * HOUR), ...appointment }
+    });
+    jest.spyOn(sdr.Conversation, 'find').mockImplementation(query => ({
+      select: async () => ('appointment.reminders.sent24h' in query ? [conversation] : [])
+    }));
+    return conversation;
+  }
+
+  test('envio que falha desfaz o lembrete e o pedido de confirmação', async () => {
+    const conversation = stubCandidate({ bookedAt: new Date(Date.now() - 72 * HOUR) });
+    jest.spyOn(sdr.Conversation, 'findOneAndUpdate').mockResolvedValue(conversation);
+    jest.spyOn(sdr.Conversation, 'findById').mockRejectedValue(new Error('db timeout'));
+    const updateOne = jest.spyOn(sdr.Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await sdr.sendAppointmentReminders();
+
+    expect(updateOne).toHaveBeenCalledWith({ _id: conversation._id }, {
+      $unset: { 'appointment.reminders.sent24h': 1, 'appointment.reminders.confirmationRequestedAt': 1 }
+    });
+  });
+
+  test('reunião marcada com menos de 24h de antecedência não recebe o lembrete de 24h', async () => {
+    stubCandidate({ bookedAt: new Date(Date.now() - 2 * HOUR) });
+    const claim = jest.spyOn(sdr.Conversation, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await sdr.sendAppointmentReminders();
+
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  test('remarcação em cima da hora também conta', async () => {
+    stubCandidate({
+      bookedAt: new Date(Date.now() - 72 * HOUR),
+      history: [{ action: 'RESCHEDULED', changedAt: new Date(Date.now() - HOUR) }]
+    });
+    const claim = jest.spyOn(sdr.Conversation, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await sdr.sendAppointmentReminders();
+
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
+
+describe('follow-ups', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('não cobram quem cancelou a reunião', async () => {
+    const find = jest.spyOn(sdr.Conversation, 'find').mockReturnValue({ select: async () => [] });
+
+    await sdr.sendInactivityFollowUps();
+
+    expect(find).toHaveBeenCalled();
+    find.mock.calls.forEach(([filter]) => {
+      expect(filter['appointment.status']).toEqual({ $ne: 'CANCELLED' });
+    });
+  });
+});
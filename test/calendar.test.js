@@ -0,0 +1,176 @@
+const { createCalendarStub } = require('./helpers/calendarStub');
+
+// Segunda-feira, 07/01/2030 08:00 em São Paulo
+const NOW = new Date('2030-01-07T11:00:00Z');
+
+describe('Google Calendar scheduling (stub da Calendar API)', () => {
+  const stub = createCalendarStub();
+  let sdr;
+  let held;
+  let reservations;
+
+  beforeAll(async () => {
+    jest.useFakeTimers({
+      now: NOW,
+      doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+        'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+    });
+
+    Object.assign(process.env, {
+      GOOGLE_API_ROOT_URL: await stub.start(),
+      GOOGLE_CLIENT_ID: 'stub-client',
+      GOOGLE_CLIENT_SECRET: 'stub-secret',
+      GOOGLE_CALENDAR_ID: 'agenda@empresa.com',
+      TOKEN_ENCRYPTION_KEY: 'chave-de-teste-com-tamanho-suficiente',
+      TIMEZONE: 'America/Sao_Paulo',
+      BUSINESS_HOURS_START: '09:00',
+      BUSINESS_HOURS_END: '17:00',
+      BUSINESS_DAYS: '1,2,3,4,5',
+      MEETING_DURATION_MINUTES: '30',
+      BUFFER_MINUTES: '0',
+      MIN_LEAD_TIME_MINUTES: '120',
+      MAX_OFFERED_SLOTS: '6'
+    });
+    sdr = require('../index');
+
+    // Token salvo (criptografado) carregado como na inicialização, sem refresh
+    let stored = null;
+    jest.spyOn(sdr.OAuthToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      stored = { encryptedTokens: update.$set.encryptedTokens };
+    });
+    jest.spyOn(sdr.OAuthToken, 'findOne').mockImplementation(() => ({ lean: async () => stored }));
+    await sdr.saveGoogleTokens({ access_token: 'stub-access-token' }, 'test');
+    await sdr.loadGoogleCredentials();
+  });
+
+  afterAll(async () => {
+    jest.useRealTimers();
+    await stub.stop();
+  });
+
+  beforeEach(() => {
+    stub.reset();
+    held = [];
+    reservations = new Map();
+
+    // Sem reuniões marcadas no banco; horários retidos vêm de `held`
+    jest.spyOn(sdr.Conversation, 'find').mockImplementation(query => ({
+      select: () => ({
+        lean: async () => (query['offeredSlots.heldUntil']
+          ? [{ offeredSlots: { slots: held.map(datetime => ({ datetime: new Date(datetime) })) } }]
+          : [])
+      })
+    }));
+
+    // Índice único de SlotReservation em memória
+    jest.spyOn(sdr.SlotReservation, 'create').mockImplementation(async doc => {
+      const key = doc.start.getTime();
+      if (reservations.has(key)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      reservations.set(key, doc);
+    });
+    jest.spyOn(sdr.SlotReservation, 'findOneAndUpdate').mockImplementation(async filter => {
+      const current = reservations.get(filter.start.getTime());
+      return current && current.phoneNumber === filter.$or[0].phoneNumber ? current : null;
+    });
+    jest.spyOn(sdr.SlotReservation, 'deleteOne').mockImplementation(async filter => {
+      reservations.delete(filter.start.getTime());
+    });
+  });
+
+  function buildConversation(phoneNumber) {
+    return new sdr.Conversation({
+      phoneNumber,
+      stage: 'OFERECER_AGENDAMENTOS',
+      userData: { name: 'Ana Souza', email: 'ana@empresa.com', function: 'CEO', revenue: '200K_500K' },
+      appointment: { scheduled: false, status: 'PENDING' }
+    });
+  }
+
+  const localTimes = slots => slots.map(slot => new Date(slot.datetime).toLocaleTimeString('pt-BR', {
+    timeZone: 'America/Sao_Paulo', hour: '2-digit', minute: '2-digit'
+  }));
+
+  test('oferece horários fora dos intervalos ocupados no free/busy', async () => {
+    stub.busy = [{ start: '2030-01-07T13:00:00Z', end: '2030-01-07T14:00:00Z' }];
+
+    const slots = await sdr.getAvailableSlots(3);
+
+    expect(localTimes(slots)).toEqual(['11:00', '11:30', '12:00', '12:30', '13:00', '13:30']);
+    const freeBusy = stub.requests.find(request => request.path === '/calendar/v3/freeBusy');
+    expect(freeBusy.body.items).toEqual([{ id: 'agenda@empresa.com' }]);
+  });
+
+  test('não oferece horários retidos por outro lead', async () => {
+    held = ['2030-01-07T13:00:00Z'];
+
+    const slots = await sdr.getAvailableSlots(3);
+
+    expect(localTimes(slots)[0]).toBe('10:30');
+    expect(localTimes(slots)).not.toContain('10:00');
+  });
+
+  test('não oferece nada quando o free/busy falha', async () => {
+    stub.failures.freeBusy = 500;
+
+    await expect(sdr.getAvailableSlots(3)).resolves.toEqual([]);
+  });
+
+  test('entende dia/mês e descarta datas que não existem', () => {
+    expect(sdr.parseSlotPreference('15/01 às 10h', 'America/Sao_Paulo')).toEqual({ date: '2030-01-15', hour: 10, minute: 0 });
+    expect(sdr.parseSlotPreference('05/01', 'America/Sao_Paulo')).toEqual({ date: '2031-01-05' });
+    expect(sdr.parseSlotPreference('31/02 às 10h', 'America/Sao_Paulo')).toBeNull();
+    expect(sdr.parseSlotPreference('29/02', 'America/Sao_Paulo')).toBeNull();
+    expect(sdr.parseSlotPreference('10/13', 'America/Sao_Paulo')).toBeNull();
+  });
+
+  test('cria o evento com o lead como convidado e link do Meet', async () => {
+    const conversation = buildConversation('5511999990001');
+    const [slot] = await sdr.getAvailableSlots(3);
+
+    const booking = await sdr.bookSelectedSlot(conversation, slot);
+
+    expect(booking.event).toBe('appointment.scheduled');
+    expect(conversation.stage).toBe('AGENDAMENTO_CONFIRMADO');
+    expect(conversation.appointment).toMatchObject({
+      scheduled: true,
+      status: 'CONFIRMED',
+      eventId: 'evt1',
+      meetLink: 'https://meet.google.com/stub-evt1'
+    });
+
+    const insert = stub.requests.find(request => request.path.endsWith('/events'));
+    expect(insert.query).toMatchObject({ conferenceDataVersion: '1', sendUpdates: 'all' });
+    expect(insert.body.attendees).toEqual([{ email: 'ana@empresa.com', displayName: 'Ana Souza' }]);
+    expect(insert.body.conferenceData.createRequest.conferenceSolutionKey).toEqual({ type: 'hangoutsMeet' });
+    expect(insert.body.description).toContain('Função: CEO');
+    expect(insert.body.start.dateTime).toBe('2030-01-07T10:00:00-03:00');
+  });
+
+  test('dois leads escolhendo o mesmo horário: só um agenda', async () => {
+    const [slot] = await sdr.getAvailableSlots(3);
+    const first = buildConversation('5511999990001');
+    const second = buildConversation('5511999990002');
+
+    const results = await Promise.all([
+      sdr.bookSelectedSlot(first, slot),
+      sdr.bookSelectedSlot(second, slot)
+    ]);
+
+    expect(results.filter(result => result.event === 'appointment.scheduled')).toHaveLength(1);
+    expect(results.find(result => !result.event).response).toContain('acabou de ser preenchido');
+    expect(stub.requests.filter(request => request.path.endsWith('/events'))).toHaveLength(1);
+  });
+
+  test('token recusado pela API não marca a reunião e libera o horário', async () => {
+    stub.failures.insert = 401;
+    const conversation = buildConversation('5511999990001');
+    const [slot] = await sdr.getAvailableSlots(3);
+
+    const booking = await sdr.bookSelectedSlot(conversation, slot);
+
+    expect(booking.event).toBeNull();
+    expect(booking.response).toContain('Nossa equipe vai entrar em contato');
+    expect(conversation.appointment.scheduled).toBe(false);
+    expect(reservations.size).toBe(0);
+  });
+});
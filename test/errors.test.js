@@ -0,0 +1,89 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+const util = require('util');
+const sdr = require('../index');
+
+describe('mensagem de erro quando o processamento falha', () => {
+  const phoneNumber = '5511999990001';
+  let post;
+
+  function buildConversation(consentStatus = 'GRANTED') {
+    const conversation = new sdr.Conversation({
+      phoneNumber,
+      stage: 'SOLICITAR_EMAIL',
+      consent: { status: consentStatus },
+      appointment: { scheduled: false, status: 'PENDING' }
+    });
+    jest.spyOn(conversation, 'save').mockResolvedValue(conversation);
+    return conversation;
+  }
+
+  // 1ª busca (início do turno) falha com `error`; a 2ª devolve a conversa para a resposta
+  function failTurn(error, conversation) {
+    jest.spyOn(sdr.Conversation, 'findOne')
+      .mockReturnValueOnce({ sort: () => Promise.reject(error) })
+      .mockReturnValueOnce({ sort: async () => conversation });
+  }
+
+  beforeEach(() => {
+    post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { messages: [{ id: 'wamid.1' }] } });
+    jest.spyOn(sdr.OutboxMessage, 'create').mockImplementation(async data => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    jest.spyOn(sdr.OutboxMessage, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(sdr.Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('avisa o lead pelo outbox e registra no histórico', async () => {
+    const conversation = buildConversation();
+    failTurn(new Error('db timeout'), conversation);
+
+    const result = await sdr.processIncomingMessage(phoneNumber, 'oi', 'wamid.in');
+
+    expect(result).toEqual({ success: false, error: 'db timeout' });
+    expect(sdr.OutboxMessage.create).toHaveBeenCalledWith(expect.objectContaining({ channel: 'WHATSAPP', phoneNumber }));
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(conversation.messages.at(-1).content).toContain('tive um problema técnico');
+  });
+
+  test('não avisa quem pediu para não receber mensagens', async () => {
+    failTurn(new Error('db timeout'), buildConversation('REVOKED'));
+
+    await sdr.processIncomingMessage(phoneNumber, 'oi', 'wamid.in');
+
+    expect(sdr.OutboxMessage.create).not.toHaveBeenCalled();
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  test('não tenta de novo quando o que falhou foi a entrega', async () => {
+    failTurn(Object.assign(new Error('Request failed with status code 400'), { outboxStatus: 'DEAD' }), buildConversation());
+
+    await sdr.processIncomingMessage(phoneNumber, 'oi', 'wamid.in');
+
+    expect(sdr.Conversation.findOne).toHaveBeenCalledTimes(1);
+    expect(post).not.toHaveBeenCalled();
+  });
+});
+
+describe('erro da Graph API no envio', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('não carrega o token adiante e a chamada tem timeout', async () => {
+    process.env.WHATSAPP_ACCESS_TOKEN = 'token-secreto-da-meta';
+    const response = { status: 400, headers: { 'retry-after': '5' }, data: { error: { code: 131026, message: 'Message undeliverable' } } };
+    const post = jest.spyOn(axios, 'post').mockImplementation(async (url, payload, config) => {
+      throw new axios.AxiosError('Request failed with status code 400', 'ERR_BAD_REQUEST', config, { headers: config.headers }, response);
+    });
+
+    try {
+      const error = await sdr.sendWhatsAppMessage('5511999990001', 'oi').catch(thrown => thrown);
+
+      expect(post.mock.calls[0][2].timeout).toBeGreaterThan(0);
+      expect(error.response).toEqual(expect.objectContaining({ status: 400, data: response.data }));
+      expect(util.inspect(error, { depth: 10 })).not.toContain('token-secreto-da-meta');
+    } finally {
+      delete process.env.WHATSAPP_ACCESS_TOKEN;
+    }
+  });
+});
+
@@ -0,0 +1,46 @@
+const sdr = require('../index');
+
+describe('turnos sem IA (fallback)', () => {
+  const flow = sdr.DEFAULT_FLOW;
+
+  function buildConversation(stage, userData = {}) {
+    return new sdr.Conversation({
+      phoneNumber: '5511999990001',
+      stage,
+      userData: { name: 'Ana Souza', function: 'Diretor', ...userData },
+      appointment: { scheduled: false, status: 'PENDING' }
+    });
+  }
+
+  test('campo validado direto da mensagem avança para o próximo estágio', async () => {
+    const conversation = buildConversation('SOLICITAR_EMAIL');
+
+    const turn = await sdr.processConversationTurn('meu email é ana@empresa.com.br', conversation, flow);
+
+    expect(conversation.userData.email).toBe('ana@empresa.com.br');
+    expect(conversation.stage).toBe('SOLICITAR_FATURAMENTO');
+    expect(turn.response).toContain('faturamento médio mensal');
+    expect(turn.escalation).toBeNull();
+  });
+
+  test('resposta inválida continua no estágio e pede de novo', async () => {
+    const conversation = buildConversation('SOLICITAR_EMAIL');
+
+    const turn = await sdr.processConversationTurn('depois te passo', conversation, flow);
+
+    expect(conversation.stage).toBe('SOLICITAR_EMAIL');
+    expect(turn.response).toContain('email não parece válido');
+  });
+
+  test('fallbacks seguidos chamam uma pessoa', async () => {
+    const conversation = buildConversation('SOLICITAR_NOME', { name: null });
+    const turns = [];
+
+    for (const text of ['oi', 'tudo bem?', 'quem é você?']) {
+      turns.push(await sdr.processConversationTurn(text, conversation, flow));
+    }
+
+    expect(turns.map(turn => turn.escalation)).toEqual([null, null, 'AI_UNAVAILABLE']);
+    expect(conversation.metadata.consecutiveAIFailures).toBe(3);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Stub local da Google Calendar API (GOOGLE_API_ROOT_URL aponta para ele).
+ * Responde free/busy e criação de eventos e guarda as requisições recebidas.
+ */
+const http = require('http');
+
+function createCalendarStub() {
+  const stub = {
+    requests: [],
+    busy: [],
+    // Status forçado por rota (ex.: { freeBusy: 500, insert: 401 })
+    failures: {},
+    eventCount: 0
+  };
+
+  function reply(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : null;
+      stub.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+      if (req.method === 'POST' && url.pathname === '/calendar/v3/freeBusy') {
+        if (stub.failures.freeBusy) return reply(res, stub.failures.freeBusy, { error: { message: 'stub failure' } });
+        const calendarId = body.items[0].id;
+        return reply(res, 200, { calendars: { [calendarId]: { busy: stub.busy } } });
+      }
+
+      const insert = /^\/calendar\/v3\/calendars\/([^/]+)\/events$/.exec(url.pathname);
+      if (req.method === 'POST' && insert) {
+        if (stub.failures.insert) return reply(res, stub.failures.insert, { error: { message: 'stub failure' } });
+        stub.eventCount++;
+        const id = `evt${stub.eventCount}`;
+        return reply(res, 200, {
+          ...body,
+          id,
+          htmlLink: `https://calendar.google.com/event?eid=${id}`,
+          hangoutLink: `https://meet.google.com/stub-${id}`
+        });
+      }
+
+      reply(res, 404, { error: { message: `No stub for ${req.method} ${url.pathname}` } });
+    });
+  });
+
+  stub.start = () => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      stub.rootUrl = `http://127.0.0.1:${server.address().port}/`;
+      resolve(stub.rootUrl);
+    });
+  });
+  stub.stop = () => new Promise(resolve => server.close(resolve));
+  stub.reset = () => {
+    stub.requests = [];
+    stub.busy = [];
+    stub.failures = {};
+  };
+
+  return stub;
+}
+
+module.exports = { createCalendarStub };
@@ -0,0 +1,30 @@
+describe('lock da conversa', () => {
+  let sdr;
+
+  beforeAll(() => {
+    process.env.CONVERSATION_LOCK_TTL_SECONDS = '3';
+    sdr = require('../index');
+  });
+
+  afterAll(() => {
+    delete process.env.CONVERSATION_LOCK_TTL_SECONDS;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('é renovado enquanto o trabalho dura mais que parte do TTL', async () => {
+    jest.spyOn(sdr.ConversationLock, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(sdr.ConversationLock, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(sdr.InboundMessage, 'exists').mockResolvedValue(null);
+    const renew = jest.spyOn(sdr.ConversationLock, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    await sdr.withConversationLock('5511999990001', () => new Promise(resolve => setTimeout(resolve, 1200)));
+    const renewals = renew.mock.calls.length;
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    expect(renewals).toBe(1);
+    expect(renew.mock.calls[0][0]).toMatchObject({ _id: '5511999990001' });
+    // Parou junto com o trabalho
+    expect(renew).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+
+describe('eliminação de dados (LGPD)', () => {
+  const phoneNumber = '5511999990001';
+  let sdr;
+  let server;
+  let events;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        events.push(JSON.parse(raw));
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    Object.assign(process.env, {
+      N8N_WEBHOOK_URL: `http://127.0.0.1:${server.address().port}/events`,
+      PRIVACY_HASH_SECRET: 'segredo-de-teste'
+    });
+    sdr = require('../index');
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    events = [];
+    jest.spyOn(sdr.OutboxMessage, 'create').mockImplementation(async data => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    jest.spyOn(sdr.OutboxMessage, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('publica lead.erased sem o telefone e grava o tombstone', async () => {
+    const conversationId = new mongoose.Types.ObjectId();
+    jest.spyOn(sdr.ConversationLock, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(sdr.ConversationLock, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(sdr.InboundMessage, 'exists').mockResolvedValue(null);
+    jest.spyOn(sdr.Conversation, 'find').mockReturnValue({
+      select: async () => [{ _id: conversationId, appointment: { scheduled: false } }]
+    });
+    [sdr.Conversation, sdr.InboundMessage, sdr.OutboxMessage, sdr.CampaignContact].forEach(model => {
+      jest.spyOn(model, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    });
+    const tombstone = jest.spyOn(sdr.ErasureTombstone, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+
+    await sdr.erasePhoneData(phoneNumber, { name: 'admin' });
+
+    const [filter, update] = tombstone.mock.calls[0];
+    expect(filter.phoneHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(update.$set.requestedBy).toBe('admin');
+
+    expect(events).toHaveLength(1);
+    expect(JSON.stringify(events[0])).not.toContain(phoneNumber);
+    expect(events[0].event).toBe('lead.erased');
+    expect(events[0].data).toMatchObject({ phoneHash: filter.phoneHash, conversationIds: [conversationId.toString()] });
+  });
+
+  test('sem PRIVACY_HASH_SECRET não apaga nada', async () => {
+    delete process.env.PRIVACY_HASH_SECRET;
+    const deleteMany = jest.spyOn(sdr.Conversation, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    try {
+      await expect(sdr.erasePhoneData(phoneNumber, { name: 'admin' })).rejects.toMatchObject({ code: 'PRIVACY_NOT_CONFIGURED' });
+      expect(deleteMany).not.toHaveBeenCalled();
+      expect(events).toHaveLength(0);
+    } finally {
+      process.env.PRIVACY_HASH_SECRET = 'segredo-de-teste';
+    }
+  });
+
+  test('restore não traz de volta conversas anteriores à eliminação', async () => {
+    const erasedAt = new Date('2026-10-10T12:00:00Z');
+    const documents = [
+      { _id: new mongoose.Types.ObjectId(), phoneNumber, createdAt: new Date('2026-10-01T12:00:00Z') },
+      { _id: new mongoose.Types.ObjectId(), phoneNumber, createdAt: new Date('2026-10-15T12:00:00Z') },
+      { _id: new mongoose.Types.ObjectId(), phoneNumber: '5511999990002', createdAt: new Date('2026-10-01T12:00:00Z') }
+    ];
+    const file = path.join(os.tmpdir(), `conversations-test-${process.pid}.ndjson.gz`);
+    fs.writeFileSync(file, zlib.gzipSync(documents
+      .map(document => mongoose.mongo.BSON.EJSON.stringify(document, { relaxed: false }) + '\n').join('')));
+
+    // Tombstone gravado pela eliminação: HMAC do número com PRIVACY_HASH_SECRET
+    const phoneHash = crypto.createHmac('sha256', 'segredo-de-teste').update(phoneNumber).digest('hex');
+    jest.spyOn(sdr.ErasureTombstone, 'find').mockImplementation(() => ({
+      select: () => ({ lean: async () => [{ phoneHash, erasedAt }] })
+    }));
+    const bulkWrite = jest.spyOn(sdr.Conversation.collection, 'bulkWrite').mockResolvedValue({});
+
+    try {
+      const result = await sdr.restoreBackupFile(file);
+
+      expect(result).toMatchObject({ restored: 2, skipped: 1 });
+      const restoredIds = bulkWrite.mock.calls[0][0].map(operation => operation.replaceOne.filter._id.toString());
+      expect(restoredIds).toEqual([documents[1]._id.toString(), documents[2]._id.toString()]);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  test('retenção apaga detalhes da auditoria e dados pessoais de conversas paradas', async () => {
+    process.env.ANALYTICS_RETENTION_DAYS = '90';
+    const updateMany = jest.spyOn(sdr.Conversation, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(sdr.OutboxMessage, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    try {
+      const result = await sdr.applyRetentionPolicy();
+
+      expect(result).toEqual({ conversations: 1, auditLogs: 1, userData: 1, outboxDeleted: 0 });
+      const updates = updateMany.mock.calls.map(([, update]) => update);
+      expect(updates[1]).toEqual({ $unset: { 'auditLog.$[old].details': 1 } });
+      expect(Object.keys(updates[2].$unset)).toEqual(expect.arrayContaining([
+        'contactName', 'userData.name', 'userData.function', 'userData.email', 'userData.extra'
+      ]));
+      expect(updates[2].$unset).not.toHaveProperty(['userData.revenue']);
+      expect(updates[2].$unset).not.toHaveProperty(['userData.leadScore']);
+    } finally {
+      delete process.env.ANALYTICS_RETENTION_DAYS;
+    }
+  });
+});
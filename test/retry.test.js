@@ -0,0 +1,66 @@
+const request = require('supertest');
+const axios = require('axios');
+const mongoose = require('mongoose');
+
+describe('POST /messages/:messageId/retry', () => {
+  let sdr;
+  let conversation;
+  let saveDeltas;
+
+  beforeAll(() => {
+    process.env.ADMIN_API_KEYS = 'operador:chave-de-teste:operator';
+    sdr = require('../index');
+  });
+
+  beforeEach(() => {
+    conversation = sdr.Conversation.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      phoneNumber: '5511999990001',
+      consent: { status: 'GRANTED' },
+      messages: [
+        { _id: new mongoose.Types.ObjectId(), direction: 'INCOMING', content: 'oi', timestamp: new Date() },
+        { _id: new mongoose.Types.ObjectId(), direction: 'OUTGOING', content: 'Qual seu email?', messageId: 'wamid.falhou', status: 'FAILED', timestamp: new Date() }
+      ]
+    });
+    saveDeltas = [];
+    jest.spyOn(conversation, 'save').mockImplementation(async function () {
+      saveDeltas.push(this.$__delta()?.[1]);
+      return this;
+    });
+    jest.spyOn(sdr.Conversation, 'findOne').mockResolvedValue(conversation);
+    jest.spyOn(sdr.OutboxMessage, 'create').mockImplementation(async data => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    jest.spyOn(sdr.OutboxMessage, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { messages: [{ id: 'wamid.novo' }] } });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const retry = () => request(sdr.app)
+    .post('/messages/wamid.falhou/retry')
+    .set('Authorization', 'Bearer chave-de-teste');
+
+  test('marca a tentativa com update atômico e só acrescenta a nova mensagem', async () => {
+    const updateOne = jest.spyOn(sdr.Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await retry();
+
+    expect(res.status).toBe(200);
+    expect(updateOne.mock.calls[0]).toEqual([
+      { _id: conversation._id, messages: { $elemMatch: { messageId: 'wamid.falhou', retriedAt: null } } },
+      { $set: { 'messages.$.retriedAt': expect.any(Date) } }
+    ]);
+    expect(saveDeltas).toHaveLength(1);
+    // Mensagens só por $push (os $set restantes são defaults do documento mínimo do teste)
+    expect(saveDeltas[0].$push.messages.$each).toHaveLength(1);
+    expect(Object.keys(saveDeltas[0].$set || {}).filter(path => path.startsWith('messages'))).toEqual([]);
+  });
+
+  test('segunda tentativa da mesma mensagem é recusada', async () => {
+    jest.spyOn(sdr.Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    const res = await retry();
+
+    expect(res.status).toBe(409);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
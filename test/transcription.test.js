@@ -0,0 +1,43 @@
+const sdr = require('../index');
+
+describe('transcrição de áudios (hook substituível)', () => {
+  const audioMessage = {
+    type: 'audio',
+    from: '5511999990001',
+    audio: { id: 'media-123', mime_type: 'audio/ogg; codecs=opus' }
+  };
+
+  afterEach(() => sdr.setTranscriptionHook(null));
+
+  test('usa o texto devolvido pelo hook', async () => {
+    const hook = jest.fn().mockResolvedValue('  Quero agendar uma reunião  ');
+    sdr.setTranscriptionHook(hook);
+
+    await expect(sdr.getInboundMessageText(audioMessage)).resolves.toBe('Quero agendar uma reunião');
+    expect(hook).toHaveBeenCalledWith({
+      mediaId: 'media-123',
+      mimeType: 'audio/ogg; codecs=opus',
+      phoneNumber: '5511999990001'
+    });
+  });
+
+  test('sem hook o áudio não vira texto', async () => {
+    await expect(sdr.getInboundMessageText(audioMessage)).resolves.toBeNull();
+  });
+
+  test('falha ou transcrição vazia não vira texto', async () => {
+    sdr.setTranscriptionHook(jest.fn().mockRejectedValue(new Error('timeout')));
+    await expect(sdr.getInboundMessageText(audioMessage)).resolves.toBeNull();
+
+    sdr.setTranscriptionHook(jest.fn().mockResolvedValue('   '));
+    await expect(sdr.getInboundMessageText(audioMessage)).resolves.toBeNull();
+  });
+
+  test('outros tipos de mídia não chamam o hook', async () => {
+    const hook = jest.fn();
+    sdr.setTranscriptionHook(hook);
+
+    await expect(sdr.getInboundMessageText({ type: 'image', image: { id: 'x' } })).resolves.toBeNull();
+    expect(hook).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,51 @@
+const { normalizeRevenue } = require('../index');
+
+describe('faixa de faturamento', () => {
+  const revenueOf = text => normalizeRevenue(text).value;
+
+  test.each([
+    ['b', '50K_200K'],
+    ['C', '200K_500K'],
+    ['letra d', 'ACIMA_500K'],
+    ['(a)', 'ATE_50K'],
+    ['b) uns 150 mil', '50K_200K'],
+    ['Acho que é a opção c', '200K_500K'],
+    ['ACIMA_500K', 'ACIMA_500K']
+  ])('letra ou código: %s', (text, expected) => {
+    expect(revenueOf(text)).toBe(expected);
+  });
+
+  test.each([
+    ['a gente fatura uns 300 mil', '200K_500K'],
+    ['A empresa fatura 1 milhão', 'ACIMA_500K'],
+    ['uns 80 mil', '50K_200K'],
+    ['R$ 1,2 milhão', 'ACIMA_500K'],
+    ['150.000 por mês', '50K_200K'],
+    ['40k', 'ATE_50K']
+  ])('valor: %s', (text, expected) => {
+    expect(revenueOf(text)).toBe(expected);
+  });
+
+  test.each([
+    ['entre 50 e 200 mil', '50K_200K'],
+    ['de 50 a 200 mil', '50K_200K'],
+    ['entre 200 mil e 500 mil', '200K_500K'],
+    ['de 500 mil a 1 milhão', 'ACIMA_500K'],
+    ['tenho 2 a 3 lojas e faturo 300 mil', '200K_500K']
+  ])('faixa de valores: %s', (text, expected) => {
+    expect(revenueOf(text)).toBe(expected);
+  });
+
+  test.each([
+    ['acima de 500 mil', 'ACIMA_500K'],
+    ['mais de 500 mil', 'ACIMA_500K'],
+    ['mais de 50 mil', '50K_200K']
+  ])('limite inferior: %s', (text, expected) => {
+    expect(revenueOf(text)).toBe(expected);
+  });
+
+  test('texto sem letra nem valor é inválido', () => {
+    expect(normalizeRevenue('não sei dizer')).toEqual({ valid: false, error: 'revenue' });
+    expect(normalizeRevenue('a gente ainda está começando')).toEqual({ valid: false, error: 'revenue' });
+  });
+});